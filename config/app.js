@@ -5,23 +5,47 @@
  * - the cluster server port (should not be LB-ed outside the cluster)
  * - the client server port (should be LB-ed outside the cluster)
  * */
+const fs = require('fs'),
+  token = require('../lib/token');
 const config = {
   debug: 'TRACE',
+  log: {
+    format: 'text', // The log format: text (human-readable lines) or json (one JSON object per line)
+    file: null      // The path of a file to also append log lines to.
+  },
   cluster: {
     namespace: 'quty', // The namespace we use for various actions
     port: 23032,  // The HTTP Port to use for cluster-node communication. This should not be exposed.
-    auth: null,    // The authorisation secret used by cluster-node communication. This acts as a simple secret.
+    auth: null,    // The authorisation secret used by cluster-node communication and the HTTP API (disabled without it). This acts as a simple secret. It can also be a keyring {sign, keys: {keyId: secret}} to rotate secrets (see lib/token.js)
     discovery: {
       nodes: [],     // an array of "{ip}:{port}" cluster nodes to connect to
       service: null,  // The Kubernetes (or any, really) hostname of the service (eg: quty.app.svc.cluster.local) we will DNS_resolve and use the IPs to connect to the nodes.
+      srv: null,      // The DNS SRV name (eg: _quty._tcp.quty.app.svc.cluster.local) we resolve and use the host and port of each record to connect to the nodes.
       fetch: null,    // An HTTP(s) API endpoint to call to retrieve the array of nodes to connect to.
-      timer: 3000     // The number of milliseconds we try to discover new nodes.
+      timer: 3000,    // The number of milliseconds we try to discover new nodes.
+      timeout: 5000   // The number of milliseconds a discovery provider (service, nodes, fetch) has to return its nodes.
+    },
+    maxReadyAfter: 4000, // The maximum number of ms the server will emit the 'ready' state. Setting this to 0 will not wait for the cluster state before triggering 'ready'
+    drainTimeout: 3000,  // The maximum number of ms we wait for queued events to be sent, when shutting down.
+    history: {
+      size: 0,      // The number of messages to keep in each channel's history, so that reconnecting clients can replay them. Setting this to 0 disables history.
+      ttl: 10000    // The number of milliseconds a message is kept in a channel's history.
     },
-    maxReadyAfter: 4000 // The maximum number of ms the server will emit the 'ready' state. Setting this to 0 will not wait for the cluster state before triggering 'ready'
+    tls: null,      // Set to {cert, key, ca, verifyClient} (PEM contents or file paths) to use wss:// between nodes. Setting verifyClient to true only allows nodes with a certificate issued by the ca.
+    maxFrameSize: 32 * 1024 * 1024,  // The maximum size in bytes of a websocket message received from other nodes and publishers.
+    maxMessageSize: 0,  // The maximum size in bytes of a publisher event (0 disables it). Larger events are rejected with an ERROR event.
+    rateLimit: null, // Set to {publisher: {rate, burst}, channel: {rate, burst}, client: {rate, burst}, reject: false} to limit the messages per second of publishers, channels and clients.
+    batch: null,    // Set to {delay, size} to batch channel messages sent to other nodes for up to {delay} ms or {size} bytes. Disabled by default.
+    codec: 'json'   // The codec (or comma-separated codecs, in the order of preference) used for node-to-node events: json, msgpack
   },
   hub: {
     port: 8082,    // The HTTP Port to use for publicly-available client connections.
-    path: '/quty' // The HTTP Websocket path to listen to
+    path: '/quty', // The HTTP Websocket path to listen to
+    tls: null,    // Set to {cert, key} (PEM contents or file paths) to serve clients over https/wss.
+    maxFrameSize: 1024 * 1024,  // The maximum size in bytes of a websocket message received from clients. Larger messages close the connection.
+    maxMessageSize: 256 * 1024, // The maximum size in bytes of a client event. Larger events are rejected with an ERROR event.
+    auth: undefined, // The secret, keyring or {publicKey} used to verify client tokens. Defaults to the cluster's auth.
+    streamOrigin: null // The origin (or array of origins) allowed to read the Server-Sent Events stream from browsers. Set to "*" to allow any origin.
   }
 };
 
@@ -30,6 +54,12 @@ const env = process.env;
 if (env.CLUSTER_DEBUG) {
   config.debug = env.CLUSTER_DEBUG;
 }
+if (env.CLUSTER_LOG_FORMAT) {
+  config.log.format = env.CLUSTER_LOG_FORMAT;
+}
+if (env.CLUSTER_LOG_FILE) {
+  config.log.file = env.CLUSTER_LOG_FILE;
+}
 if (env.CLUSTER_NAMESPACE) {
   config.cluster.namespace = env.CLUSTER_NAMESPACE;
 }
@@ -39,6 +69,10 @@ if (env.CLUSTER_PORT) {
 if (env.CLUSTER_AUTH) {
   config.cluster.auth = env.CLUSTER_AUTH;
 }
+if (env.CLUSTER_AUTH_KEYS) {
+  // Format: "{keyId}:{secret},{keyId}:{secret}", signing with CLUSTER_AUTH_SIGN_KEY or the first key.
+  config.cluster.auth = token.parseKeyring(env.CLUSTER_AUTH_KEYS, env.CLUSTER_AUTH_SIGN_KEY);
+}
 if (env.CLUSTER_DISCOVERY_NODES) {
   let nodes = env.CLUSTER_DISCOVERY_NODES.replace(/,/g, ';').replace(/ /g, ';').split(';');
   nodes.forEach((n) => {
@@ -52,9 +86,61 @@ if (env.CLUSTER_DISCOVERY_FETCH) {
 if (env.CLUSTER_DISCOVERY_SERVICE) {
   config.cluster.discovery.service = env.CLUSTER_DISCOVERY_SERVICE;
 }
+if (env.CLUSTER_DISCOVERY_SRV) {
+  config.cluster.discovery.srv = env.CLUSTER_DISCOVERY_SRV;
+}
 if (env.CLUSTER_DISCOVERY_TIMER) {
   config.cluster.discovery.timer = parseInt(env.CLUSTER_DISCOVERY_TIMER, 10);
 }
+if (env.CLUSTER_DISCOVERY_TIMEOUT) {
+  config.cluster.discovery.timeout = parseInt(env.CLUSTER_DISCOVERY_TIMEOUT, 10);
+}
+if (env.CLUSTER_HISTORY_SIZE) {
+  config.cluster.history.size = parseInt(env.CLUSTER_HISTORY_SIZE, 10);
+}
+if (env.CLUSTER_HISTORY_TTL) {
+  config.cluster.history.ttl = parseInt(env.CLUSTER_HISTORY_TTL, 10);
+}
+if (env.CLUSTER_CODEC) {
+  config.cluster.codec = env.CLUSTER_CODEC;
+}
+if (env.CLUSTER_BATCH_DELAY || env.CLUSTER_BATCH_SIZE) {
+  config.cluster.batch = {};
+  if (env.CLUSTER_BATCH_DELAY) config.cluster.batch.delay = parseInt(env.CLUSTER_BATCH_DELAY, 10);
+  if (env.CLUSTER_BATCH_SIZE) config.cluster.batch.size = parseInt(env.CLUSTER_BATCH_SIZE, 10);
+}
+if (env.CLUSTER_DRAIN_TIMEOUT) {
+  config.cluster.drainTimeout = parseInt(env.CLUSTER_DRAIN_TIMEOUT, 10);
+}
+if (env.CLUSTER_MAX_FRAME_SIZE) {
+  config.cluster.maxFrameSize = parseInt(env.CLUSTER_MAX_FRAME_SIZE, 10);
+}
+if (env.CLUSTER_MAX_MESSAGE_SIZE) {
+  config.cluster.maxMessageSize = parseInt(env.CLUSTER_MAX_MESSAGE_SIZE, 10);
+}
+if (env.CLUSTER_RATE_LIMIT_PUBLISHER || env.CLUSTER_RATE_LIMIT_CHANNEL || env.CLUSTER_RATE_LIMIT_CLIENT) {
+  // Format: "{rate}" or "{rate}:{burst}"
+  config.cluster.rateLimit = {
+    reject: env.CLUSTER_RATE_LIMIT_REJECT === 'true'
+  };
+  [['publisher', env.CLUSTER_RATE_LIMIT_PUBLISHER], ['channel', env.CLUSTER_RATE_LIMIT_CHANNEL], ['client', env.CLUSTER_RATE_LIMIT_CLIENT]].forEach((item) => {
+    if (!item[1]) return;
+    let tmp = item[1].split(':');
+    config.cluster.rateLimit[item[0]] = {
+      rate: parseFloat(tmp[0])
+    };
+    if (tmp[1]) config.cluster.rateLimit[item[0]].burst = parseInt(tmp[1], 10);
+  });
+}
+if (env.CLUSTER_TLS_CERT || env.CLUSTER_TLS_KEY) {
+  config.cluster.tls = {
+    cert: env.CLUSTER_TLS_CERT,
+    key: env.CLUSTER_TLS_KEY,
+    ca: env.CLUSTER_TLS_CA,
+    verifyClient: env.CLUSTER_TLS_VERIFY_CLIENT === 'true',
+    verifyHostname: env.CLUSTER_TLS_VERIFY_HOSTNAME !== 'false'
+  };
+}
 
 if (env.HUB_PORT) {
   config.hub.port = parseInt(env.HUB_PORT);
@@ -62,6 +148,31 @@ if (env.HUB_PORT) {
 if (env.HUB_PATH) {
   config.hub.path = env.HUB_PATH;
 }
+if (env.HUB_MAX_FRAME_SIZE) {
+  config.hub.maxFrameSize = parseInt(env.HUB_MAX_FRAME_SIZE, 10);
+}
+if (env.HUB_MAX_MESSAGE_SIZE) {
+  config.hub.maxMessageSize = parseInt(env.HUB_MAX_MESSAGE_SIZE, 10);
+}
+if (env.HUB_STREAM_ORIGIN) {
+  // Format: "*" or "{origin},{origin}"
+  let origins = env.HUB_STREAM_ORIGIN.split(',').map((o) => o.trim()).filter((o) => o);
+  config.hub.streamOrigin = (origins.length === 1 && origins[0] === '*') ? '*' : origins;
+}
+if (env.HUB_AUTH_PUBLIC_KEY) {
+  // The PEM contents or file path of the public key used to verify client tokens signed by an external auth service.
+  let publicKey = env.HUB_AUTH_PUBLIC_KEY;
+  if (publicKey.indexOf('-----BEGIN') === -1) publicKey = fs.readFileSync(publicKey);
+  config.hub.auth = {
+    publicKey
+  };
+}
+if (env.HUB_TLS_CERT || env.HUB_TLS_KEY) {
+  config.hub.tls = {
+    cert: env.HUB_TLS_CERT,
+    key: env.HUB_TLS_KEY
+  };
+}
 
 
 module.exports = config;
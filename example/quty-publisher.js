@@ -35,6 +35,10 @@ const pub = new quty.Publisher({
       pub.send('welcome', {
         "message": "From an external publisher : " + id,
         "from": "System"
+      }).then((res) => {
+        console.log(`Message ${id} acknowledged, routed: ${res.routed}, seq: ${res.seq}`);
+      }).catch((e) => {
+        console.log(`Message ${id} was not acknowledged: ${e.message}`);
       });
     }, 2000);
   } catch (e) {
@@ -6,7 +6,8 @@ const QutyCluster = require('./lib/QutyCluster'),
   ChannelHub = require('./lib/ChannelHub'),
   logger = require('./lib/logger'),
   event = require('./lib/events'),
-  token = require('./lib/token');
+  token = require('./lib/token'),
+  codec = require('./lib/codec');
 
 module.exports = {
   Cluster: QutyCluster,
@@ -15,5 +16,6 @@ module.exports = {
   ChannelHub: ChannelHub,
   log: logger,
   token,
+  codec,
   event
 };
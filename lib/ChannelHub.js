@@ -1,5 +1,8 @@
 'use strict';
-const EventEmitter = require('events').EventEmitter;
+const EventEmitter = require('events').EventEmitter,
+  util = require('./util');
+const HISTORY_SWEEP_TIMER = 60000; // we clean up the history of idle and removed channels at most once every minute
+const lastHistorySweep = Symbol('lastHistorySweep');
 
 /**
  * A ChannelHub class is responsible for keeping track of:
@@ -7,26 +10,59 @@ const EventEmitter = require('events').EventEmitter;
  * - what client is subscribed to which channels
  * The hub acts as a distributed in-memory map, that all cluster nodes
  * will eventually have access to.
+ * Channel names are dot-separated segments (eg: orders.eu.123). Nodes and clients
+ * can also subscribe to channel patterns, where:
+ *  - "*" matches exactly one segment (eg: orders.* matches orders.123 but not orders.eu.123)
+ *  - ">" as the last segment matches one or more segments (eg: orders.> matches both of the above)
  * EVENTS triggered:
  *  - channel.add(channel)
- *  - channel.message(channel, message)
+ *  - channel.message(channel, message, seq)
  *  - channel.remove(channel)
  *  - node.join(channel, sid)
  *  - node.message(channel, sid, message)
  *  - node.leave(channel, sid)
  *  - client.join(channel, cid)
- *  - client.message(channel, cid, message)
+ *  - client.message(channel, cid, message, seq)
  *  - client.leave(channel, cid)
  *  - client.remove(cid)
+ *  - presence.join(channel, cid, sid)
+ *  - presence.leave(channel, cid, sid)
+ *  - client.connect(cid, sid)
+ *  - client.disconnect(cid, sid)
  * */
 
 class ChannelHub extends EventEmitter {
 
-  constructor() {
+  /**
+   * Initialize the channel hub with the following (optional) configuration:
+   * @Arguments
+   *  - opt.history.size - the number of messages to keep in each channel's history. Set to 0 to disable history.
+   *  - opt.history.ttl - the number of milliseconds a message is kept in history. Set to 0 to keep messages till they are overwritten.
+   *  Note:
+   *  Sequence numbers are assigned by each node to the messages it routes, so
+   *  they are only comparable between messages delivered by the same node.
+   *  The history of idle channels is removed once its messages expire. Without a ttl, the history
+   *  of a channel is kept until the channel is no longer used by any node or client.
+   * */
+  constructor(opt = {}) {
     super();
     this.setMaxListeners(0);
+    if (typeof opt !== 'object' || !opt) opt = {};
+    let history = (typeof opt.history === 'object' && opt.history) ? opt.history : {};
+    this.historySize = (typeof history.size === 'number' && history.size > 0) ? Math.floor(history.size) : 0;
+    this.historyTtl = (typeof history.ttl === 'number' && history.ttl > 0) ? history.ttl : 0;
     this.nodeChannels = {}; // a map of {channelName: [serverIds]}
     this.clientChannels = {}; // a map of {channelName: [clientIds]}
+    this.presence = {}; // a cluster-wide map of {channelName: {clientId: serverId}}
+    this.clientNodes = {}; // a cluster-wide map of {clientId: {s: serverId, n: presenceCount}}
+    this.clientOwners = {}; // a cluster-wide map of {clientId: serverId} with the node each client is connected to
+    this.history = {}; // a map of {channelName: {seq, start, count, items}} ring buffers
+    this[lastHistorySweep] = Date.now();
+    this.patterns = {}; // a map of {channelPattern: [segments]} of all the pattern subscriptions
+    this.stats = {
+      messages: 0,  // the number of messages sent through the hub
+      routed: 0     // the number of messages that had at least one subscriber
+    };
   }
 
   // Getter for returning the complete list of all channels.
@@ -60,6 +96,9 @@ class ChannelHub extends EventEmitter {
   subscribeNode(sid, channel) {
     if (typeof this.nodeChannels[channel] === 'undefined') {
       this.nodeChannels[channel] = [];
+      if (ChannelHub.isPattern(channel)) {
+        this.patterns[channel] = channel.split('.');
+      }
       this.emit('channel.add', channel);
     }
     let cidx = this.nodeChannels[channel].indexOf(sid);
@@ -84,6 +123,7 @@ class ChannelHub extends EventEmitter {
     }
     if (this.nodeChannels[channel].length === 0) {
       delete this.nodeChannels[channel];
+      delete this.patterns[channel];
       this.emit('channel.remove', channel);
     }
   }
@@ -128,6 +168,8 @@ class ChannelHub extends EventEmitter {
       let c = channels[i];
       this.unsubscribeNode(sid, c);
     }
+    this.syncNodePresence(sid, {});
+    this.syncNodeClients(sid, []);
     return true;
   }
 
@@ -150,6 +192,7 @@ class ChannelHub extends EventEmitter {
       this.clientChannels[channel].push(cid);
       this.emit('client.join', channel, cid);
     }
+    this.addPresence(sid, cid, channel);
     return true;
   }
 
@@ -165,6 +208,7 @@ class ChannelHub extends EventEmitter {
     if (cidx === -1) return false;
     this.clientChannels[channel].splice(cidx, 1);
     this.emit('client.leave', channel, cid);
+    this.removePresence(cid, channel);
     if (this.clientChannels[channel].length === 0) {
       delete this.clientChannels[channel];
       this.removeChannel(channel);
@@ -173,15 +217,20 @@ class ChannelHub extends EventEmitter {
   }
 
   /**
-   * Checks if a client is subscribed to a specific channel
+   * Checks if a client is subscribed to a specific channel,
+   * either directly or through a pattern subscription.
    * @Arguments
    *  cid - the client id to use
    *  channel - the channel name
    * */
   isClientSubscribed(cid, channel) {
-    if (typeof this.clientChannels[channel] === 'undefined') return false;
-    let idx = this.clientChannels[channel].indexOf(cid);
-    return (idx !== -1);
+    if (typeof this.clientChannels[channel] !== 'undefined' && this.clientChannels[channel].indexOf(cid) !== -1) return true;
+    let patterns = _getMatchingPatterns.call(this, channel);
+    for (let i = 0, len = patterns.length; i < len; i++) {
+      let items = this.clientChannels[patterns[i]];
+      if (items && items.indexOf(cid) !== -1) return true;
+    }
+    return false;
   }
 
   /**
@@ -215,6 +264,276 @@ class ChannelHub extends EventEmitter {
     return items;
   }
 
+  /**
+   * Registers the presence of a client, owned by the specified node, in a channel.
+   * Presence is tracked cluster-wide, so it also holds clients of other nodes.
+   * @Arguments
+   *  sid - the server id that has the client
+   *  cid - the client id
+   *  channel - the target channel
+   * */
+  addPresence(sid, cid, channel) {
+    if (typeof this.presence[channel] === 'undefined') {
+      this.presence[channel] = {};
+    }
+    let prevSid = this.presence[channel][cid];
+    if (prevSid === sid) return false;
+    this.presence[channel][cid] = sid;
+    if (typeof this.clientNodes[cid] === 'undefined') {
+      this.clientNodes[cid] = {
+        s: sid,
+        n: 0
+      };
+    }
+    this.clientNodes[cid].s = sid;
+    if (typeof prevSid === 'undefined') this.clientNodes[cid].n++;
+    this.emit('presence.join', channel, cid, sid);
+    return true;
+  }
+
+  /**
+   * Removes the presence of a client from a channel
+   * @Arguments
+   *  cid - the client id
+   *  channel - the target channel
+   *  ownerSid - if specified, only remove the presence if the client is owned by this server id
+   * */
+  removePresence(cid, channel, ownerSid) {
+    if (typeof this.presence[channel] === 'undefined') return false;
+    let sid = this.presence[channel][cid];
+    if (typeof sid === 'undefined') return false;
+    if (ownerSid && sid !== ownerSid) return false;
+    delete this.presence[channel][cid];
+    if (Object.keys(this.presence[channel]).length === 0) {
+      delete this.presence[channel];
+    }
+    if (typeof this.clientNodes[cid] !== 'undefined') {
+      this.clientNodes[cid].n--;
+      if (this.clientNodes[cid].n <= 0) delete this.clientNodes[cid];
+    }
+    this.emit('presence.leave', channel, cid, sid);
+    return true;
+  }
+
+  /**
+   * Registers the node that a client is connected to.
+   * Ownership is tracked cluster-wide, so it also holds clients of other nodes.
+   * @Arguments
+   *  sid - the server id that has the client
+   *  cid - the client id
+   * */
+  addClientNode(sid, cid) {
+    if (this.clientOwners[cid] === sid) return false;
+    this.clientOwners[cid] = sid;
+    this.emit('client.connect', cid, sid);
+    return true;
+  }
+
+  /**
+   * Removes the owner of a client, once it disconnected.
+   * @Arguments
+   *  cid - the client id
+   *  ownerSid - if specified, only remove the owner if the client is owned by this server id
+   * */
+  removeClientNode(cid, ownerSid) {
+    let sid = this.clientOwners[cid];
+    if (typeof sid === 'undefined') return false;
+    if (ownerSid && sid !== ownerSid) return false;
+    delete this.clientOwners[cid];
+    this.emit('client.disconnect', cid, sid);
+    return true;
+  }
+
+  /**
+   * Returns an array with the ids of all the clients connected to the specified node.
+   * @Arguments
+   *  sid - the server id
+   * */
+  getNodeClients(sid) {
+    let items = [];
+    for (let cid in this.clientOwners) {
+      if (this.clientOwners[cid] === sid) items.push(cid);
+    }
+    return items;
+  }
+
+  /**
+   * Replaces all the clients connected to the specified node,
+   * removing the clients that are no longer connected and adding the new ones.
+   * @Arguments
+   *  sid - the server id
+   *  cids - an array of client ids
+   * */
+  syncNodeClients(sid, cids) {
+    if (!(cids instanceof Array)) cids = [];
+    let current = this.getNodeClients(sid);
+    for (let i = 0, len = current.length; i < len; i++) {
+      if (cids.indexOf(current[i]) !== -1) continue;
+      this.removeClientNode(current[i], sid);
+    }
+    for (let i = 0, len = cids.length; i < len; i++) {
+      if (typeof cids[i] !== 'string' || !cids[i]) continue;
+      this.addClientNode(sid, cids[i]);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the server id that owns the specified client, or null if the owner is not known.
+   * Falls back to the client's presence, for nodes that do not announce their clients.
+   * @Arguments
+   *  cid - the client id
+   * */
+  getClientNode(cid) {
+    if (typeof this.clientOwners[cid] !== 'undefined') return this.clientOwners[cid];
+    if (typeof this.clientNodes[cid] === 'undefined') return null;
+    return this.clientNodes[cid].s;
+  }
+
+  /**
+   * Returns the number of clients of the specified server that are present in at least one channel.
+   * @Arguments
+   *  sid - the server id
+   * */
+  countNodeClients(sid) {
+    let count = 0;
+    for (let cid in this.clientNodes) {
+      if (this.clientNodes[cid].s === sid) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Returns an array of {cid, sid} with all the clients present in a channel, across the cluster.
+   * @Arguments
+   *  channel - the channel name
+   * */
+  getPresence(channel) {
+    let items = [];
+    if (typeof this.presence[channel] === 'undefined') return items;
+    let cids = Object.keys(this.presence[channel]);
+    for (let i = 0, len = cids.length; i < len; i++) {
+      items.push({
+        cid: cids[i],
+        sid: this.presence[channel][cids[i]]
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Returns a map of {channel: [clientIds]} with all the clients owned by the specified node.
+   * @Arguments
+   *  sid - the server id to use
+   * */
+  getNodePresence(sid) {
+    let res = {};
+    let channels = Object.keys(this.presence);
+    for (let i = 0, len = channels.length; i < len; i++) {
+      let c = channels[i],
+        cids = Object.keys(this.presence[c]);
+      for (let j = 0, jlen = cids.length; j < jlen; j++) {
+        if (this.presence[c][cids[j]] !== sid) continue;
+        if (!res[c]) res[c] = [];
+        res[c].push(cids[j]);
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Replaces the presence of all the clients owned by the specified node,
+   * removing the clients that are no longer present and adding the new ones.
+   * @Arguments
+   *  sid - the server id to use
+   *  presence - a map of {channel: [clientIds]}
+   * */
+  syncNodePresence(sid, presence) {
+    if (typeof presence !== 'object' || !presence) presence = {};
+    let current = this.getNodePresence(sid),
+      channels = Object.keys(current);
+    for (let i = 0, len = channels.length; i < len; i++) {
+      let c = channels[i],
+        cids = presence[c] instanceof Array ? presence[c] : [];
+      for (let j = 0, jlen = current[c].length; j < jlen; j++) {
+        if (cids.indexOf(current[c][j]) !== -1) continue;
+        this.removePresence(current[c][j], c);
+      }
+    }
+    channels = Object.keys(presence);
+    for (let i = 0, len = channels.length; i < len; i++) {
+      let c = channels[i];
+      if (!(presence[c] instanceof Array)) continue;
+      for (let j = 0, jlen = presence[c].length; j < jlen; j++) {
+        this.addPresence(sid, presence[c][j], c);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Adds a message to the channel's history, returning its sequence number.
+   * If history is disabled, returns 0.
+   * @Arguments
+   *  channel - the channel name
+   *  message - the (stringified) message
+   * */
+  addHistory(channel, message) {
+    if (this.historySize === 0) return 0;
+    let now = Date.now();
+    if (now - this[lastHistorySweep] > HISTORY_SWEEP_TIMER) _sweepHistory.call(this, now);
+    _pruneHistory.call(this, channel);
+    let h = this.history[channel];
+    if (typeof h === 'undefined') {
+      h = this.history[channel] = {
+        seq: 0,
+        start: 0,
+        count: 0,
+        items: new Array(this.historySize)
+      };
+    }
+    h.seq++;
+    let item = {
+      q: h.seq,
+      m: message,
+      t: now
+    };
+    if (h.count < this.historySize) {
+      h.items[(h.start + h.count) % this.historySize] = item;
+      h.count++;
+    } else {
+      h.items[h.start] = item;
+      h.start = (h.start + 1) % this.historySize;
+    }
+    return h.seq;
+  }
+
+  /**
+   * Returns an array of {q, m, t} with all the messages in a channel's history
+   * that have a sequence number greater than the specified one.
+   * @Arguments
+   *  channel - the channel name
+   *  afterSeq - the sequence number to start after. Defaults to 0 (the entire history)
+   *  Note:
+   *  if afterSeq is greater than the last sequence number of the channel, the sequence was reset
+   *  (eg: the history expired) and we return the entire history.
+   *  Sequence numbers are assigned by this node, so afterSeq must come from a message delivered by this node.
+   * */
+  getHistory(channel, afterSeq) {
+    let items = [];
+    if (typeof afterSeq !== 'number' || afterSeq < 0) afterSeq = 0;
+    _pruneHistory.call(this, channel);
+    let h = this.history[channel];
+    if (typeof h === 'undefined') return items;
+    if (afterSeq > h.seq) afterSeq = 0;
+    for (let i = 0; i < h.count; i++) {
+      let item = h.items[(h.start + i) % this.historySize];
+      if (item.q <= afterSeq) continue;
+      items.push(item);
+    }
+    return items;
+  }
+
   /**
    * Destroys a channel
    * */
@@ -239,45 +558,197 @@ class ChannelHub extends EventEmitter {
 
 
   /**
-   * Sends a message to the specified channel
+   * Sends a message to the specified channel, returning true if the channel had subscribers.
    * @Arguments
    *  - channel -> the channel string to send to
    *  - message -> the message that we need to send
    *  - senderSid -> the sender server id to use
-   *  - opt.nodes -> if set to true, send to individual nodes
+   *  - opt.nodes -> if set to false, do not send to individual nodes
    *  - opt.broadcast -> if set to false, do not broadcast
    *
    * */
   sendMessage(channel, message, senderSid, opt = {}) {
-    if (typeof message === 'object' && message) message = JSON.stringify(message);
-    let hasNodes = false,
-      hasClients = false;
-    if (typeof this.nodeChannels[channel] !== 'undefined') {
+    return this.routeMessage(channel, message, senderSid, opt).routed;
+  }
+
+  /**
+   * Sends a message to the specified channel, just like ChannelHub.sendMessage,
+   * returning {routed, seq} with the routing result and the message's sequence number (0 if it was not added to the history)
+   * */
+  routeMessage(channel, message, senderSid, opt = {}) {
+    let res = {
+      routed: false,
+      seq: 0
+    };
+    if (ChannelHub.isPattern(channel)) return res; // we cannot send to a pattern.
+    this.stats.messages++;
+    if (typeof message === 'object' && message && !util.isBinary(message)) message = JSON.stringify(message);
+    let patterns = _getMatchingPatterns.call(this, channel),
+      sids = _getSubscribers(this.nodeChannels, channel, patterns),
+      cids = _getSubscribers(this.clientChannels, channel, patterns),
+      hasNodes = false,
+      hasClients = false,
+      seq = 0;
+    if (sids.length > 0) {
       hasNodes = true;
-      if (opt.nodes !== true) {
-        for (let i = 0, len = this.nodeChannels[channel].length; i < len; i++) {
-          let sid = this.nodeChannels[channel][i];
-          this.emit('node.message', channel, sid, message);
+      if (opt.nodes !== false) {
+        for (let i = 0, len = sids.length; i < len; i++) {
+          this.emit('node.message', channel, sids[i], message);
         }
       }
     } else if (opt.broadcast !== false) {
       // we need to broadcast the message.
       this.emit('node.broadcast', channel, message);
     }
-    if (typeof this.clientChannels[channel] !== 'undefined') {
+    if (hasNodes || cids.length > 0) {
+      seq = this.addHistory(channel, message);
+    }
+    if (cids.length > 0) {
       hasClients = true;
-      for (let i = 0, len = this.clientChannels[channel].length; i < len; i++) {
-        let cid = this.clientChannels[channel][i];
-        this.emit('client.message', channel, cid, message);
+      for (let i = 0, len = cids.length; i < len; i++) {
+        this.emit('client.message', channel, cids[i], message, seq);
       }
     }
-    if (!hasNodes && !hasClients) return false;
-    if (!senderSid || (senderSid && this.isNodeSubscribed(senderSid, channel))) {
-      this.emit('channel.message', channel, message);
+    res.seq = seq;
+    if (!hasNodes && !hasClients) return res;
+    this.stats.routed++;
+    if (!senderSid || (senderSid && sids.indexOf(senderSid) !== -1)) {
+      this.emit('channel.message', channel, message, seq);
     }
-    return true;
+    res.routed = true;
+    return res;
+  }
+
+  /**
+   * Checks if the given channel name is a channel pattern (contains a "*" segment or ends with a ">" segment)
+   * @Arguments
+   *  channel - the channel name
+   * */
+  static isPattern(channel) {
+    if (typeof channel !== 'string' || !channel) return false;
+    let segments = channel.split('.');
+    if (segments[segments.length - 1] === '>') return true;
+    return segments.indexOf('*') !== -1;
+  }
+
+  /**
+   * Checks if the given channel matches the channel pattern.
+   * @Arguments
+   *  pattern - the channel pattern (or the segments array of the pattern)
+   *  channel - the channel name (or the segments array of the channel)
+   * */
+  static matchPattern(pattern, channel) {
+    let pSegments = (pattern instanceof Array) ? pattern : pattern.split('.'),
+      cSegments = (channel instanceof Array) ? channel : channel.split('.');
+    for (let i = 0, len = pSegments.length; i < len; i++) {
+      let p = pSegments[i];
+      if (p === '>' && i === len - 1) return cSegments.length > i;
+      if (i >= cSegments.length) return false;
+      if (p === '*') {
+        if (cSegments[i] === '') return false;
+        continue;
+      }
+      if (p !== cSegments[i]) return false;
+    }
+    return pSegments.length === cSegments.length;
+  }
+
+  /**
+   * Checks if every channel matched by the channel (pattern) is also matched by the given pattern.
+   * For channels that are not patterns, this is the same as ChannelHub.matchPattern
+   * @Arguments
+   *  pattern - the channel pattern (or the segments array of the pattern)
+   *  channel - the channel name or pattern (or its segments array)
+   * */
+  static coversPattern(pattern, channel) {
+    let pSegments = (pattern instanceof Array) ? pattern : pattern.split('.'),
+      cSegments = (channel instanceof Array) ? channel : channel.split('.');
+    for (let i = 0, len = pSegments.length; i < len; i++) {
+      let p = pSegments[i];
+      if (p === '>' && i === len - 1) return cSegments.length > i;
+      if (i >= cSegments.length) return false;
+      let c = cSegments[i];
+      if (c === '>' && i === cSegments.length - 1) return false; // only ">" covers any number of segments
+      if (p === '*') {
+        if (c === '') return false;
+        continue;
+      }
+      if (p !== c) return false;
+    }
+    return pSegments.length === cSegments.length;
+  }
+
+}
+
+/**
+ * Returns an array with all the subscribed channel patterns that match the given channel.
+ * */
+function _getMatchingPatterns(channel) {
+  let items = [],
+    patterns = Object.keys(this.patterns);
+  if (patterns.length === 0) return items;
+  let segments = channel.split('.');
+  for (let i = 0, len = patterns.length; i < len; i++) {
+    if (ChannelHub.matchPattern(this.patterns[patterns[i]], segments)) {
+      items.push(patterns[i]);
+    }
+  }
+  return items;
+}
+
+/**
+ * Returns a unique array of subscribers (server ids or client ids) from the given
+ * subscription map, for both the channel and its matching patterns.
+ * */
+function _getSubscribers(map, channel, patterns) {
+  let items = map[channel] || [];
+  if (patterns.length === 0) return items;
+  items = items.concat([]);
+  for (let i = 0, len = patterns.length; i < len; i++) {
+    let subs = map[patterns[i]];
+    if (!subs) continue;
+    for (let j = 0, jlen = subs.length; j < jlen; j++) {
+      if (items.indexOf(subs[j]) === -1) items.push(subs[j]);
+    }
+  }
+  return items;
+}
+
+/**
+ * Removes the expired messages from a channel's history,
+ * destroying the history once it is empty.
+ * */
+function _pruneHistory(channel) {
+  let h = this.history[channel];
+  if (typeof h === 'undefined') return;
+  if (this.historyTtl > 0) {
+    let minTime = Date.now() - this.historyTtl;
+    while (h.count > 0 && h.items[h.start].t < minTime) {
+      h.items[h.start] = undefined;
+      h.start = (h.start + 1) % this.historySize;
+      h.count--;
+    }
+  }
+  if (h.count === 0) {
+    delete this.history[channel];
   }
+}
 
+/**
+ * Removes the expired messages of all the channels, so that idle channels do not keep their history forever.
+ * Without a ttl, messages never expire, so we remove the history of the channels that are no longer used.
+ * */
+function _sweepHistory(now) {
+  this[lastHistorySweep] = now;
+  let channels = Object.keys(this.history);
+  for (let i = 0, len = channels.length; i < len; i++) {
+    let c = channels[i];
+    if (this.historyTtl === 0) {
+      if (typeof this.nodeChannels[c] === 'undefined' && typeof this.clientChannels[c] === 'undefined') delete this.history[c];
+      continue;
+    }
+    _pruneHistory.call(this, c);
+  }
 }
 
 module.exports = ChannelHub;
@@ -7,14 +7,16 @@ const EventEmitter = require('events').EventEmitter,
   token = require('./token'),
   log = require('./logger');
 const RECONNECT_TIMEOUT = 500; // Time to wait till reconnect
+const REQUEST_TIMEOUT = 3000; // Time to wait for a reply from the cluster
 /**
  * The Quty publisher is a client that connects to a Quty cluster
  * and sends out messages to specific channels.
- * It does not process events, it simply sends them.
+ * It does not receive channel messages, it only sends them (see Publisher.send for the cluster's acknowledgements).
  * Events triggered:
  *  - connect -> when the client is connected to the Quty cluster
  *  - disconnect -> when the client got disconnected from the Quty cluster
  *  - fail -> when the client failed to authenticate with the cluster.
+ *  - event({event, data}) -> when an incoming event is coming from the cluster.
  * */
 const config = Symbol('config'),
   client = Symbol('client'),
@@ -22,7 +24,12 @@ const config = Symbol('config'),
   reconnectTimer = Symbol('reconnectTimer'),
   reconnectCount = Symbol('reconnectCount'),
   queue = Symbol('queue'),
-  socketSend = Symbol('socketSend');
+  requests = Symbol('requests'),
+  requestSeq = Symbol('requestSeq'),
+  socketSend = Symbol('socketSend'),
+  socketRequest = Symbol('socketRequest'),
+  rejectRequests = Symbol('rejectRequests'),
+  logger = Symbol('logger');
 
 class Publisher extends EventEmitter {
 
@@ -30,9 +37,13 @@ class Publisher extends EventEmitter {
    * Initialize the publisher class with some configuration.
    * @Arguments
    *  - config.url - the Quty websocket server URL to connect to
-   *  - config.auth - the Quty auth token to use.
+   *  - config.id - the publisher id, sent to the cluster and included as "pid" in our log entries. Defaults to a random id.
+   *  - config.auth - the Quty auth token (or keyring, see lib/token.js) to use.
    *  - config.reconnect=true - if set to false, do not attempt to reconnect on disconnect.
    *  - config.buffer=true - if set to false, do not queue up messages till we're reconnected.
+   *  - config.timeout - the number of milliseconds to wait for the cluster to reply to a request or acknowledge a message.
+   *  - config.tls - the TLS configuration {cert, key, ca, verifyHostname, rejectUnauthorized} to use (see util.getTlsOptions).
+   *    When set, urls without a protocol use wss://
    * */
   constructor(_config = {}) {
     super();
@@ -40,15 +51,27 @@ class Publisher extends EventEmitter {
     if (!_config.url) throw new Error('Quty publisher: requires config.url');
     if (typeof _config.reconnect !== 'boolean') _config.reconnect = true;
     if (typeof _config.buffer !== 'boolean') _config.buffer = true;
+    if (_config.tls) _config.tls = util.readTlsConfig(_config.tls);
     this.connected = false;
+    this.id = _config.id || util.randomString(12);
     this[config] = _config;
+    this[logger] = log.child({
+      component: 'quty-publisher',
+      pid: this.id
+    });
     this[queue] = [];
+    this[requests] = {}; // a map of {requestId:{event, resolve, timer}}
+    this[requestSeq] = 0;
   }
 
   get config() {
     return this[config];
   }
 
+  get logger() {
+    return this[logger];
+  }
+
   /**
    * Private function that checks if we're connected before calling a function.
    * */
@@ -66,20 +89,126 @@ class Publisher extends EventEmitter {
   }
 
   /**
-   * Send a specific message to the cluster, that will be routed by the cluster
+   * Private function that sends an event to the cluster and waits for the cluster to reply
+   * with the reply event (defaults to the same event) and request id.
+   * Returns a promise that resolves with the reply data, or rejects if the cluster does not reply in time
+   * or replies with an ERROR event (the error's code being the ERROR event's code, see events.ERROR).
+   * The request id is sent as the first property of the data, so that the cluster can find it in events that are too large or malformed to be parsed.
+   * Note: if the event is still queued when the request times out, it is removed from the queue.
+   * */
+  [socketRequest](event, data, replyEvent, fn) {
+    return new Promise((resolve, reject) => {
+      this[requestSeq]++;
+      let rid = this[requestSeq];
+      data = Object.assign({
+        r: rid
+      }, data);
+      let timer = setTimeout(() => {
+        delete this[requests][rid];
+        for (let i = 0, len = this[queue].length; i < len; i++) {
+          if (this[queue][i].data !== data) continue;
+          this[queue].splice(i, 1);
+          break;
+        }
+        reject(new Error('Quty publisher: cluster failed to reply in a timely manner'));
+      }, this[config].timeout || REQUEST_TIMEOUT);
+      this[requests][rid] = {
+        event: replyEvent || event,
+        data,
+        resolve,
+        reject,
+        timer
+      };
+      this[socketSend](event, data, fn);
+    });
+  }
+
+  /**
+   * Private function that rejects the pending requests that were already sent,
+   * since the cluster can no longer reply to them once we got disconnected.
+   * Requests that are still queued are kept, as they are sent once we reconnect.
+   * */
+  [rejectRequests](err) {
+    let rids = Object.keys(this[requests]);
+    for (let i = 0, len = rids.length; i < len; i++) {
+      let req = this[requests][rids[i]],
+        isQueued = false;
+      for (let j = 0, jlen = this[queue].length; j < jlen; j++) {
+        if (this[queue][j].data !== req.data) continue;
+        isQueued = true;
+        break;
+      }
+      if (isQueued) continue;
+      clearTimeout(req.timer);
+      delete this[requests][rids[i]];
+      req.reject(err);
+    }
+  }
+
+  /**
+   * Send a specific message to the cluster, that will be routed by the cluster.
+   * The cluster acknowledges the message with {routed, seq}, where
+   *  - routed - true if the channel had subscribers
+   *  - seq - the sequence number of the message in the channel's history of the node we are connected to (0 if history is disabled)
+   * When fn is given, it is called with fn(err, {routed, seq}) and no promise is returned.
+   * Otherwise, a promise is returned, that resolves with {routed, seq} or rejects if the cluster rejected the message,
+   * did not acknowledge it in time or we got disconnected.
+   * Note: fire-and-forget callers should pass fn (or catch the promise), so that failed messages are not unhandled rejections.
    * @Arguments
    *  - channel - the channel we want to send to
-   *  - message - the message we want to send.
+   *  - message - the message we want to send. Binary messages (Buffers, TypedArrays) are sent as-is.
+   *  - fn - optional callback function(err, {routed, seq})
    * */
   send(channel, message, fn) {
     if (typeof channel === 'number') channel = channel.toString();
     if (typeof channel !== 'string' || !channel) throw new Error(`Quty publisher: channel is required as string`);
-    return this[socketSend](events.CLUSTER.CHANNEL_MESSAGE, {
+    let req = this[socketRequest](events.CLUSTER.CHANNEL_MESSAGE, {
       c: channel,
       m: message
+    }, events.CLUSTER.MESSAGE_ACK).then((res) => {
+      return {
+        routed: res.o === true,
+        seq: (typeof res.q === 'number') ? res.q : 0
+      };
+    });
+    if (typeof fn !== 'function') return req;
+    req.then((res) => fn(null, res), (err) => fn(err));
+  }
+
+  /**
+   * Send a message directly to a client, that will be routed by the cluster
+   * to the node that owns the client.
+   * @Arguments
+   *  - cid - the client id we want to send to
+   *  - message - the message we want to send.
+   * */
+  sendToClient(cid, message, fn) {
+    if (typeof cid === 'number') cid = cid.toString();
+    if (typeof cid !== 'string' || !cid) throw new Error(`Quty publisher: client id is required as string`);
+    return this[socketSend](events.CLUSTER.CLIENT_MESSAGE, {
+      cid,
+      m: message
     }, fn);
   }
 
+  /**
+   * Requests the history of a channel from the connected cluster node.
+   * Returns a promise that resolves with an array of {q, m, t} items
+   * @Arguments
+   *  - channel - the channel we want the history of
+   *  - afterSeq - the sequence number to start after (optional)
+   * */
+  async getHistory(channel, afterSeq) {
+    if (typeof channel === 'number') channel = channel.toString();
+    if (typeof channel !== 'string' || !channel) throw new Error(`Quty publisher: channel is required as string`);
+    let data = {
+      c: channel
+    };
+    if (typeof afterSeq === 'number') data.q = afterSeq;
+    let res = await this[socketRequest](events.CLUSTER.CHANNEL_HISTORY, data);
+    return (res.i instanceof Array) ? res.i : [];
+  }
+
   /**
    * Manually remove a client from a channel, if the client is connected to a channel.
    * @Arguments
@@ -108,6 +237,23 @@ class Publisher extends EventEmitter {
   }
 
 
+  /**
+   * Revokes the specified token id across the whole cluster, until the given time.
+   * Sockets that were authorised with the token are disconnected, and the token is no longer accepted.
+   * @Arguments
+   *  - id - the token id (see token.create, opt.tokenId)
+   *  - until - the date/timestamp until the token is revoked. Defaults to 24 hours from now.
+   * */
+  revokeToken(id, until, fn) {
+    if (typeof id !== 'string' || !id) return false;
+    if (until instanceof Date) until = until.getTime();
+    let data = {
+      j: id
+    };
+    if (typeof until === 'number') data.u = until;
+    return this[socketSend](events.CLUSTER.TOKEN_REVOKE, data, fn);
+  }
+
   /**
    * Flush all pending messages.
    * */
@@ -126,15 +272,16 @@ class Publisher extends EventEmitter {
   [reconnect]() {
     if (this[reconnectTimer]) clearTimeout(this[reconnectTimer]);
     this.connected = false;
+    if (!this[config].reconnect) return;
     this[reconnectTimer] = setTimeout(async () => {
       if (typeof this[reconnectCount] === 'undefined') this[reconnectCount] = 0;
       this[reconnectCount]++;
       if (this[reconnectCount] === 1) {
-        log.trace(`(Quty publisher) trying to reconnect`);
+        this[logger].trace(`(Quty publisher) trying to reconnect`);
       }
       try {
         await this.connect();
-        log.trace(`(Quty publisher) reconnected to cluster [${this[reconnectCount]} attempts]`);
+        this[logger].trace(`(Quty publisher) reconnected to cluster [${this[reconnectCount]} attempts]`);
         this[reconnectCount] = 0;
       } catch (e) {
         this[reconnect]();
@@ -151,15 +298,16 @@ class Publisher extends EventEmitter {
     return new Promise((resolve, reject) => {
       let isDone = false;
       let curl = this[config].url;
-      if (curl.indexOf('://') === -1) curl = 'ws://' + curl;
+      if (curl.indexOf('://') === -1) curl = (this[config].tls ? 'wss://' : 'ws://') + curl;
       let copt = url.parse(curl);
       if (!copt.query) copt.query = {};
       copt.query.token = token.create({}, {
         secret: this[config].auth,
-        type: token.TYPE.CLUSTER_CLIENT
+        type: token.TYPE.CLUSTER_CLIENT,
+        id: this.id
       });
       curl = copt.format();
-      let _opt = {};
+      let _opt = util.getTlsOptions(this[config].tls) || {};
       let socket = new Ws(curl, _opt),
         self = this,
         isAlive = false,
@@ -203,7 +351,21 @@ class Publisher extends EventEmitter {
 
       function onMessage(msg) {
         isAlive = true;
-        console.log("MSG", msg);
+        let p = util.parseSocketEvent(msg);
+        if (!p) return;
+        let req = (typeof p.data === 'object' && p.data) ? self[requests][p.data.r] : null;
+        if (req && req.event === p.event) {
+          clearTimeout(req.timer);
+          delete self[requests][p.data.r];
+          req.resolve(p.data);
+        } else if (req && p.event === events.CLUSTER.ERROR) {
+          clearTimeout(req.timer);
+          delete self[requests][p.data.r];
+          let err = new Error(`Quty publisher: ${p.data.m || 'cluster rejected the request'}`);
+          err.code = p.data.x;
+          req.reject(err);
+        }
+        self.emit('event', p);
       }
 
       function cleanup() {
@@ -212,6 +374,7 @@ class Publisher extends EventEmitter {
         } catch (e) {
         }
         clearTimeout(pingTimeout);
+        self[rejectRequests](new Error('Quty publisher: disconnected from cluster'));
         socket.removeAllListeners('open');
         socket.removeAllListeners('close');
         socket.removeAllListeners('message');
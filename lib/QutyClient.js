@@ -21,6 +21,8 @@ const config = Symbol('config'),
   queue = Symbol('queue'),
   reconnectTimer = Symbol('reconnectTimer'),
   reconnectCount = Symbol('reconnectCount'),
+  logger = Symbol('logger'),
+  cleanupFn = Symbol('cleanupFn'),
   client = Symbol('client');
 
 class QutyClient extends EventEmitter {
@@ -33,13 +35,20 @@ class QutyClient extends EventEmitter {
    *  - config.token - the Authorisation token to use (optional) OR a callback function that returns the token
    *  - config.reconnect - the number of milliseconds to delay reconnect
    *  - config.maxReconnect - the maximum number of reconnect attempts
+   *  - config.stats - the stats object used to count the events and bytes of the socket (see lib/metrics.js)
+   *  - config.tls - the TLS configuration {cert, key, ca, verifyHostname, rejectUnauthorized} to use for wss:// urls (see util.getTlsOptions)
+   *  - config.logger - the (child) logger to use, so that entries carry the owner's context (see lib/logger.js)
    * */
   constructor(_config = {}) {
     super();
     this.setMaxListeners(0);
     if (typeof _config !== 'object' || !_config) throw new Error('Quty client: configuration must be an object');
     if (typeof _config.url !== 'string' || !_config.url) throw new Error(`Quty client: configuration requires url`);
+    if (_config.tls) _config.tls = util.readTlsConfig(_config.tls);
     this[config] = _config;
+    this[logger] = (typeof _config.logger === 'function') ? _config.logger : log.child({
+      component: 'quty-client'
+    });
     if (_config.reconnect === true) {
       _config.reconnect = 1000;
     }
@@ -52,6 +61,11 @@ class QutyClient extends EventEmitter {
     return this[client];
   }
 
+  /* Returns the number of reconnect attempts */
+  get reconnects() {
+    return this[reconnectCount];
+  }
+
   /* Returns the ip:port string with no protocol. */
   get url() {
     let u = this[config].url;
@@ -68,6 +82,14 @@ class QutyClient extends EventEmitter {
     this.emit('destroy');
     this.removeAllListeners();
     this.connected = false;
+    if (this[reconnectTimer]) {
+      clearTimeout(this[reconnectTimer]);
+      delete this[reconnectTimer];
+    }
+    if (this[cleanupFn]) {
+      this[cleanupFn]();  // stops the heartbeat timer
+      delete this[cleanupFn];
+    }
     if (this[client]) {
       try {
         this[client].close();
@@ -88,7 +110,7 @@ class QutyClient extends EventEmitter {
    * */
   connect(verifyFn) {
     if (this[client]) return true;
-    const _opt = {};
+    const _opt = util.getTlsOptions(this[config].tls) || {};
     let curl = url.parse(this[config].url);
     if (!curl.pathname) curl.pathname = '/';
     curl.hash = null;
@@ -112,6 +134,7 @@ class QutyClient extends EventEmitter {
       delete this[reconnectTimer];
     }
     let socket = new Ws(curl, _opt);
+    if (this[config].stats) socket.__stats = this[config].stats;
     this[client] = socket;
     return new Promise((resolve, reject) => {
       let isDone = false,
@@ -120,6 +143,7 @@ class QutyClient extends EventEmitter {
 
       function cleanup() {
         clearTimeout(pingTimeout);
+        util.discardSocketEvents(socket);
         try {
           socket.close();
           socket.terminate();
@@ -147,6 +171,7 @@ class QutyClient extends EventEmitter {
         }, util.HEARTBEAT_TIMER * 2);
       }
 
+      this[cleanupFn] = cleanup;
       socket.on('ping', heartbeat);
       /**
        * Handle on-open functionality
@@ -154,9 +179,9 @@ class QutyClient extends EventEmitter {
       socket.once('open', () => {
         this.connected = true;
         if (isReconnect) {
-          log.trace(`[quty-client] reconnected to: ${this[config].url}`);
+          this[logger].trace(`[quty-client] reconnected to: ${this[config].url}`);
         } else {
-          log.trace(`[quty-client] connected to: ${this[config].url}`);
+          this[logger].trace(`[quty-client] connected to: ${this[config].url}`);
         }
         // Flush any waiting events.
         if (this[queue]) {
@@ -201,12 +226,12 @@ class QutyClient extends EventEmitter {
             return reject(new Error('Quty client: cannot connect to server'));
           }
         }
-        log.trace(`[quty-client] disconnected from: ${this[config].url}`);
+        this[logger].trace(`[quty-client] disconnected from: ${this[config].url}`);
         this.emit('disconnect');
         if (typeof this[config].reconnect === 'number') {
           this[reconnectTimer] = setTimeout(() => {
             this.connect(verifyFn).catch((e) => {
-              log.trace(`[quty-client] reconnect failed to: ${this[config].url} [${e.message}]`);
+              this[logger].trace(`[quty-client] reconnect failed to: ${this[config].url} [${e.message}]`);
             });
           }, this[config].reconnect);
         }
@@ -228,12 +253,19 @@ class QutyClient extends EventEmitter {
        * */
       socket.on('message', (data) => {
         isAlive = true;
+        let stats = this[config].stats;
+        if (stats) stats.bytesIn += util.getPayloadSize(data);
         let p = util.parseSocketEvent(data);
         if (!p) return;
-        if (this.listenerCount(p.event) > 0) {
-          this.emit(p.event, p.data);
+        let items = util.unpackSocketEvents(p);
+        for (let i = 0, len = items.length; i < len; i++) {
+          let item = items[i];
+          if (stats) util.countSocketEvent(stats.eventsIn, item.event);
+          if (this.listenerCount(item.event) > 0) {
+            this.emit(item.event, item.data);
+          }
+          this.emit('event', item);
         }
-        this.emit('event', p);
       });
     });
   }
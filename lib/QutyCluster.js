@@ -2,20 +2,42 @@
 const Server = require('./Server'),
   QutyClient = require('./QutyClient'),
   ChannelHub = require('./ChannelHub'),
+  RateLimiter = require('./RateLimiter'),
   url = require('url'),
   qs = require('querystring'),
+  crypto = require('crypto'),
   events = require('./events'),
   token = require('./token'),
   util = require('./util'),
+  codec = require('./codec'),
+  metrics = require('./metrics'),
   log = require('./logger');
 
 const DISCOVERY_CHECK_TIMER = 3000; // we check for new nodes once every few seconds
+const DISCOVERY_TIMEOUT = 5000; // the default number of milliseconds a discovery provider has to return its nodes
+const CHANNEL_DENIED_REASON = 'Not authorized for channel';
 const CLUSTER_READY_TIMEOUT = 5000;
+const RATE_LIMITED_REASON = 'Rate limit exceeded';
+const TOKEN_REVOKE_TTL = 24 * 60 * 60 * 1000; // the default number of milliseconds a token is revoked for
+const CLOSE_DRAIN_TIMEOUT = 3000; // the default number of milliseconds we wait for pending events to be sent, when closing
+const CLOSE_DRAIN_CHECK = 50; // we check if the pending events were sent every few milliseconds
+const HTTP_SECRET_HEADER = 'x-quty-secret'; // the HTTP API header that carries the raw auth secret
+const HTTP_SECRET_ID = 'http-secret'; // the publisher id of HTTP API calls authorised with the auth secret
 const nodes = Symbol('nodes'),
   nodeIps = Symbol('nodeIps'),
   pendingNodes = Symbol('pendingNodes'),
   clusterReady = Symbol('clusterReady'),
   clusterPendingEvents = Symbol('clusterPendingEvents'),
+  channelAuthFn = Symbol('channelAuthFn'),
+  revokedTokens = Symbol('revokedTokens'),
+  rateLimiters = Symbol('rateLimiters'),
+  metricsCollectors = Symbol('metricsCollectors'),
+  seenNodes = Symbol('seenNodes'),
+  clusterStats = Symbol('clusterStats'),
+  nodeClients = Symbol('nodeClients'),
+  closing = Symbol('closing'),
+  leftNodes = Symbol('leftNodes'),
+  discoveryProviders = Symbol('discoveryProviders'),
   discovery = Symbol('discovery');
 
 /**
@@ -24,15 +46,54 @@ const nodes = Symbol('nodes'),
  * servers within the mesh.
  *
  * Events: (see: lib/Server.js events also)
- *  - message(channel, cid, message) -> proxies client.message requests from our ChannelHub
+ *  - message(channel, cid, message, seq) -> proxies client.message requests from our ChannelHub
+ *  - direct(cid, message) -> fired when a message should be delivered directly to a client of this node
+ *  - presence.join(channel, cid, sid) -> fired when a client of any node is present in a channel
+ *  - presence.leave(channel, cid, sid) -> fired when a client of any node is no longer present in a channel
+ *  - token.revoke(id, until) -> fired when a token id was revoked, locally or by another node
+ *  - throttle(type, key) -> fired when a message was throttled by the rate limit of the given type (see QutyCluster.RATE_LIMIT)
  *  - node.add(socket) -> fired when a node connects to the server
  *  - node.remove(socket) -> fired when a node is removed from the server.
+ *  - node.leave(sid) -> fired when a node announced that it is shutting down (see QutyCluster.close)
+ *  - discovery.error(name, err) -> fired when a discovery provider failed or timed out (see QutyCluster.addDiscoveryProvider)
  *  - publisher.add(socket) -> fired when a publisher client is connected
  *  - publisher.remove(socket)  -> fired when a publisher client disconnects.
  *
+ *  HTTP API: (requires a CLUSTER_CLIENT token signed with the auth secret, as "Authorization: Bearer {token}",
+ *  or the auth secret itself, as "X-Quty-Secret: {secret}". The secret is never read from the Authorization header or the querystring)
+ *  The HTTP API is disabled (replying with 401) when the cluster has no auth secret.
+ *    - POST /publish {channel, message} -> sends the message to the channel, replying with {routed}
+ *    - POST /kick {cid} -> disconnects the client from the cluster, replying with {routed} (false if the client's node is not known)
+ *    - POST /unsubscribe {cid, channel} -> removes the client from the channel
+ *  HTTP API calls are subject to the publisher and channel rate limits, replying with 429 once throttled.
+ *  The publisher limit uses the token's publisher id (opt.id, see token.create) or its token id. Calls with the auth secret share one limit.
+ *  HTTP API calls are trusted: they do not use the channel authorisation function (see QutyCluster.setChannelAuthorization)
+ *  Admin API: (requires an admin CLUSTER_CLIENT token, see token.create opt.admin, or the auth secret. Other tokens are refused with 403)
+ *  Like the HTTP API, the admin API is disabled (replying with 401) when the cluster has no auth secret.
+ *    - GET /admin/channels -> {channels: [{channel, local, total, nodes}]} with the subscriber counts of all channels
+ *    - GET /admin/channel?channel={name} -> {channel, clients: [{cid, sid}], nodes: [sid]} with the channel's clients and nodes
+ *    - GET /admin/nodes -> {nodes: [{sid, url, clients}]} with the connected nodes and their number of clients
+ *    - GET /admin/publishers -> {publishers: [{pid, address, tid}]} with the publishers connected to this node
+ *    - DELETE /admin/client?cid={cid} -> kicks the client from the cluster
+ *    - DELETE /admin/channel?channel={name} -> unsubscribes all the clients of the channel, across the cluster
+ *  Metrics: GET /metrics -> the cluster metrics in the Prometheus text format (see QutyCluster.addMetricsCollector)
+ *
  *  Additional configuration:
  *    - config.discovery.timer -> the number of milliseconds between new node discovery calls
+ *    - config.discovery.timeout -> the number of milliseconds the built-in discovery providers have to return their nodes
+ *    - config.discovery.{service, srv, nodes, fetch} -> enable the built-in discovery providers (see QutyCluster.DISCOVERY)
  *    - config.maxReadyAfter -> the maximum number of milliseconds we are going to trigger the 'ready' event.
+ *    - config.history -> the channel history configuration {size, ttl} of the default ChannelHub (see lib/ChannelHub.js)
+ *    - config.codec -> the codec name (or array of names, in the order of preference) to use for node-to-node events (see lib/codec.js)
+ *                      Nodes negotiate the codec during the NODE_INFO handshake, falling back to JSON for nodes that do not support it.
+ *    - config.tls -> the TLS configuration {cert, key, ca, verifyClient, verifyHostname} (see util.getTlsOptions)
+ *                    It is used by both our server and our connections to other nodes, using our own certificate as the client certificate.
+ *                    Setting verifyClient=true only allows nodes with a certificate issued by the ca to join, in addition to config.auth
+ *    - config.batch -> if set to {delay, size} (or true, for the defaults), channel messages sent to other nodes are batched (see util.queueSocketEvent)
+ *                      Batching is only used with nodes that announced they can unpack batch frames.
+ *    - config.rateLimit -> the token-bucket limits {rate, burst} of published messages, per publisher id, channel and client id:
+ *                          {publisher: {rate, burst}, channel: {rate, burst}, client: {rate, burst}, reject: false}
+ *                          Throttled messages are dropped, or rejected with an ERROR event if reject is set to true.
  * */
 
 class QutyCluster extends Server {
@@ -49,22 +110,51 @@ class QutyCluster extends Server {
     this[nodes] = {}; // a map of {nodeId:socketObj}
     this[nodeIps] = {}; // a map of {nodeIp+nodePort:nodeId}
     this[pendingNodes] = {}; // a map of {nodeIp+nodePort} that are in pending state
+    this[nodeClients] = {}; // a map of {nodeIp+nodePort:QutyClient} of our connections to other nodes
+    this[discovery] = false; // set once the discovery providers are called on their timers (see QutyCluster.startDiscovery)
+    this[discoveryProviders] = {}; // a map of {providerName:{name, fn, interval, timeout, lastRun, failures, error, nodes, timer, running}}
+    this[closing] = null;
+    this[leftNodes] = {}; // a map of {nodeId or nodeIp+nodePort:untilTimestamp} of the nodes that announced they are leaving
+    this[channelAuthFn] = null;
+    this[revokedTokens] = {}; // a map of {tokenId:untilTimestamp}
+    this[rateLimiters] = _getRateLimiters(config.rateLimit); // a map of {rateLimitType:RateLimiter}
+    this[metricsCollectors] = []; // an array of functions returning additional metrics
+    this[seenNodes] = {}; // a map of {nodeIp+nodePort:true} of all the nodes we were connected to
+    this[clusterStats] = {
+      discoveryFailures: 0,
+      connectFailures: 0,
+      reconnects: 0
+    };
+    _addDefaultDiscoveryProviders.call(this, config.discovery);
+    this.codecs = _getCodecs(config.codec);
+    this.batch = _getBatchOptions(config.batch);
     this.setAuthorization(this.authorizeClient.bind(this));
-    if (!channelHub) channelHub = new ChannelHub();
+    if (!channelHub) channelHub = new ChannelHub({
+      history: config.history
+    });
     this.hub = channelHub;
     this.ready = false;
-    this.hub.on('client.message', (channel, cid, msg) => {
-      this.emit('message', channel, cid, msg);
+    this.hub.on('client.message', (channel, cid, msg, seq) => {
+      this.emit('message', channel, cid, msg, seq);
+    });
+    this.hub.on('presence.join', (channel, cid, sid) => {
+      this.emit('presence.join', channel, cid, sid);
+    });
+    this.hub.on('presence.leave', (channel, cid, sid) => {
+      this.emit('presence.leave', channel, cid, sid);
     });
     // Once the cluster is ready, we will self-connect.
     let readyTimeout;
     this.once('ready', () => {
       if (nodes.length > 0) {
-        log.info(`[quty-cluster] is now connected to ${nodes.length} node(s) and ready`);
+        this.logger.info(`[quty-cluster] is now connected to ${nodes.length} node(s) and ready`);
       }
       if (readyTimeout) clearTimeout(readyTimeout);
       this.startDiscovery();
     });
+    this.once('close', () => {
+      if (readyTimeout) clearTimeout(readyTimeout);
+    });
     this.once('listen', async () => {
       _bindServer.call(this);
       _bindChannelHub.call(this, this.hub);
@@ -74,8 +164,8 @@ class QutyCluster extends Server {
       }
       // If we have zero nodes, we will not perform the delayed 'ready' event
       let nodes = this.getConnectedNodes();
-      if (nodes.length === 0 && (!config.discovery.service && !config.discovery.fetch && (!config.discovery.nodes || config.discovery.nodes.length === 0))) {
-        log.info(`[quty-cluster] is now ready`);
+      if (nodes.length === 0 && Object.keys(this[discoveryProviders]).length === 0) {
+        this.logger.info(`[quty-cluster] is now ready`);
         _setClusterReady.call(this);
       } else {
         readyTimeout = setTimeout(() => {
@@ -101,99 +191,129 @@ class QutyCluster extends Server {
     }
   }
 
+  /**
+   * Gracefully shuts down the cluster node. The node:
+   *  - stops the discovery and is no longer ready (GET /ping replies with 503)
+   *  - announces to the other nodes that it is leaving, so that they stop routing to it right away
+   *  - waits for the queued events to be sent, for up to opt.drainTimeout ms
+   *  - closes the connections to other nodes, publishers and the HTTP server.
+   * Resolves once the node is closed.
+   * @Arguments
+   *  - opt.drainTimeout - the maximum number of milliseconds to wait for queued events to be sent. Defaults to 3000.
+   *  - opt.timeout - the number of milliseconds to wait for sockets to close gracefully (see Server.close)
+   * */
+  close(opt = {}) {
+    if (typeof opt !== 'object' || !opt) opt = {};
+    if (!this[closing]) {
+      this[closing] = _leaveCluster.call(this, opt).then(() => super.close(opt));
+    }
+    return this[closing];
+  }
+
   /**
    * Initiates the discovery process, looking for other cluster-nodes.
+   * Each discovery provider is called on its own timer, so that a slow provider does not delay the others.
    * */
   async startDiscovery() {
-    if (this[discovery]) {
-      clearTimeout(this[discovery]);
+    if (this[closing]) return;
+    this[discovery] = true;
+    let names = Object.keys(this[discoveryProviders]);
+    for (let i = 0, len = names.length; i < len; i++) {
+      _scheduleDiscoveryProvider.call(this, this[discoveryProviders][names[i]]);
     }
-    let config = this.config;
-    this[discovery] = setTimeout(async () => {
-      try {
-        await this.discover();
-      } catch (e) {
-        log.warn(`Quty cluster: could not perform discovery: ${e.message}`);
-      }
-      this.startDiscovery();
-    }, config.discovery.timer || DISCOVERY_CHECK_TIMER);
   }
 
   /**
-   * Performs a discovery check. The server will:
-   * 1. Look for DNS resolutions of a specific service (used in Kubernetes mode)
-   * 2. Manually connect to the specified nodes in the configuration
-   * 3. Perform an HTTP Call to the specified discovery endpoint and expect to connect to those nodes.
+   * Registers a discovery provider, used to find other cluster nodes.
+   * Providers run on their own timer and interval. The last nodes of every provider are merged and deduplicated before we connect to the nodes.
+   * @Arguments
+   *  - name - the unique name of the provider. Registering a provider with the same name replaces it.
+   *  - fn - an (async) function(cluster) that returns an array of nodes, as
+   *         "{ip}:{port}", "{proto}://{ip}:{port}" or {ip, port, proto} items (see QutyCluster.addNode)
+   *  - opt.interval - the number of milliseconds between the provider's calls. Defaults to config.discovery.timer
+   *  - opt.timeout - the number of milliseconds the provider has to return its nodes. Defaults to 5000.
+   *  Note:
+   *  failed or timed out calls are logged, counted and emitted as "discovery.error"
    * */
-  async discover() {
-    const config = this.config;
-    if (!config.discovery) return; // no discovery set.
-    let discoveredNodes = [],
-      nodeMap = {}; // for uniqueness
+  addDiscoveryProvider(name, fn, opt = {}) {
+    if (typeof name !== 'string' || !name) throw new Error('Quty cluster: discovery provider requires a name');
+    if (typeof fn !== 'function') throw new Error('Quty cluster: discovery provider requires a function');
+    if (typeof opt !== 'object' || !opt) opt = {};
+    let discoveryConfig = this.config.discovery || {};
+    this.removeDiscoveryProvider(name);
+    let provider = {
+      name,
+      fn,
+      interval: (typeof opt.interval === 'number' && opt.interval > 0) ? opt.interval : (discoveryConfig.timer || DISCOVERY_CHECK_TIMER),
+      timeout: (typeof opt.timeout === 'number' && opt.timeout > 0) ? opt.timeout : DISCOVERY_TIMEOUT,
+      lastRun: 0,
+      failures: 0,
+      error: null,
+      nodes: [],  // the nodes returned by the last call of the provider
+      timer: null,
+      running: false
+    };
+    this[discoveryProviders][name] = provider;
+    if (this[discovery]) _scheduleDiscoveryProvider.call(this, provider);
+    return this;
+  }
 
-    function parseItem(item) {
-      if (typeof item === 'object' && item && item.ip) {
-        item = `${item.ip}:${item.port || config.port}`;
-      }
-      if (typeof item === 'string' && item) {
-        if (nodeMap[item]) return;
-        nodeMap[item] = true;
-        return item;
-      }
-    }
+  /**
+   * Removes a discovery provider.
+   * @Arguments
+   *  - name - the name of the provider
+   * */
+  removeDiscoveryProvider(name) {
+    let provider = this[discoveryProviders][name];
+    if (!provider) return false;
+    clearTimeout(provider.timer);
+    provider.timer = null;
+    delete this[discoveryProviders][name];
+    return true;
+  }
 
-    // Perform DNS-based service discovery
-    if (config.discovery.service) {
-      try {
-        let ips = await util.resolveHostname(config.discovery.service);
-        ips.forEach((ip) => {
-          let c = parseItem(`${ip}:${config.port}`);
-          if (c) discoveredNodes.push(c);
-        });
-      } catch (e) {
-        log.warn(`[quty-cluster] could not resolve discovery hostname: ${config.discovery.service} [${e.message}]`);
-      }
-    }
-    // Use the specified node list
-    if (config.discovery.nodes instanceof Array) {
-      for (let i = 0, len = config.discovery.nodes.length; i < len; i++) {
-        let item = config.discovery.nodes[i];
-        // Check if we have {ip, port}
-        let c = parseItem(item);
-        if (c) discoveredNodes.push(c);
-      }
-    }
-    // Perform a FETCH to the specified API endpoint
-    if (config.discovery.fetch) {
-      try {
-        let res = await util.fetch(config.discovery.fetch, {
-          method: 'GET',
-          data: {
-            id: this.id
-          }
-        });
-        if (!(res instanceof Array)) throw new Error('Result is not an array');
-        for (let i = 0, len = res.length; i < len; i++) {
-          let c = parseItem(res[i]);
-          if (c) discoveredNodes.push(c);
-        }
-      } catch (e) {
-        log.trace(`[quty-cluster] could not fetch nodes from endpoint: ${config.discovery.fetch} [${e.message}]`);
-      }
-    }
-    if (discoveredNodes.length === 0) {
-      discoveredNodes.push(`127.0.0.1:${config.port}`);
-      return false;
+  /**
+   * Returns an array of {name, interval, timeout, lastRun, failures, error} with the state of all discovery providers,
+   * where error is the message of the provider's last failure, or null if its last call succeeded.
+   * */
+  getDiscoveryProviders() {
+    let items = [],
+      names = Object.keys(this[discoveryProviders]);
+    for (let i = 0, len = names.length; i < len; i++) {
+      let p = this[discoveryProviders][names[i]];
+      items.push({
+        name: p.name,
+        interval: p.interval,
+        timeout: p.timeout,
+        lastRun: p.lastRun,
+        failures: p.failures,
+        error: p.error
+      });
     }
-    for (let i = 0, len = discoveredNodes.length; i < len; i++) {
-      let addr = discoveredNodes[i];
-      try {
-        await this.addNode(addr);
-      } catch (e) {
-        log.warn(`[quty-cluster]: could not add node: ${addr} [${e.message}]`);
-      }
+    return items;
+  }
+
+  /**
+   * Performs a discovery check. The server calls all the discovery providers that are due
+   * (or all of them, when force is set), merges the nodes of all providers and connects to the new ones.
+   * Returns false if no nodes were discovered.
+   * Note: once the cluster is ready, providers are also called on their own timer (see QutyCluster.startDiscovery)
+   * @Arguments
+   *  - force - if set to true, call all the providers, regardless of their interval.
+   * */
+  async discover(force) {
+    let now = Date.now(),
+      providers = [],
+      names = Object.keys(this[discoveryProviders]);
+    for (let i = 0, len = names.length; i < len; i++) {
+      let p = this[discoveryProviders][names[i]];
+      if (p.running) continue;
+      if (force !== true && now - p.lastRun < p.interval) continue;
+      providers.push(p);
     }
-    return true;
+    if (providers.length === 0) return false;
+    await Promise.all(providers.map((p) => _runDiscoveryProvider.call(this, p)));
+    return _addDiscoveredNodes.call(this);
   }
 
   /**
@@ -209,12 +329,13 @@ class QutyCluster extends Server {
    * */
   async addNode(address) {
     let proto, ip, port,
-      config = this.config;
+      config = this.config,
+      defaultProto = config.tls ? 'wss' : 'ws';
     let aType = (typeof address);
     if (aType === 'object' && address && typeof address.ip === 'string') {
       ip = address.ip;
       port = (typeof address.port === 'number' ? address.port : config.port);
-      proto = (typeof address.proto === 'string' ? address.proto : 'ws');
+      proto = (typeof address.proto === 'string' ? address.proto : defaultProto);
     } else if (aType === 'string') {
       if (address.indexOf('://') !== -1) {
         let tmp = address.split('://');
@@ -229,18 +350,26 @@ class QutyCluster extends Server {
         ip = address;
         port = config.port;
       }
-      if (!proto) proto = 'ws';
+      if (!proto) proto = defaultProto;
     }
-    if (!ip || !port || !proto) return false;
+    if (!ip || !port || !proto || this[closing]) return false;
     let url = `${proto}://${ip}:${port}`,
       nodeKey = `${ip}:${port}`;
     if (this[nodeIps][nodeKey]) return true;  // already added.
     if (this[pendingNodes][nodeKey]) return false; // pending connect
+    if (_isNodeLeaving.call(this, nodeKey)) return false;
     this[pendingNodes][nodeKey] = true;
     let clientObj = new QutyClient({
       url,
+      tls: config.tls,  // we use our own certificate as the client certificate
+      stats: this.stats,
+      logger: this.logger.child({
+        component: 'quty-client'
+      }),
       token: () => token.create({
-        port: config.port
+        port: config.port,
+        k: this.codecs,
+        b: 1  // we can unpack batch frames
       }, {
         secret: config.auth,
         type: token.TYPE.CLUSTER,
@@ -257,6 +386,8 @@ class QutyCluster extends Server {
           clearTimeout(_t);
           let socket = clientObj.socket;
           socket.sid = data._i;
+          socket.codec = (typeof data.k === 'string' && this.codecs.indexOf(data.k) !== -1) ? data.k : codec.JSON;
+          if (data.b && this.batch) socket.batch = this.batch;
           clientObj.sid = socket.sid;
           if (data.c instanceof Array) {
             // Try to subscribe this node to its channels.
@@ -267,6 +398,15 @@ class QutyCluster extends Server {
               shouldTriggerReady = true;
             }
           }
+          if (typeof data.p === 'object' && data.p && socket.sid !== this.id) {
+            this.hub.syncNodePresence(socket.sid, data.p);
+          }
+          if (data.o instanceof Array && socket.sid !== this.id) {
+            this.hub.syncNodeClients(socket.sid, data.o);
+          }
+          if (typeof data.r === 'object' && data.r && socket.sid !== this.id) {
+            Object.keys(data.r).forEach((id) => _revokeToken.call(this, id, data.r[id]));
+          }
           resolve();
         });
       });
@@ -277,12 +417,19 @@ class QutyCluster extends Server {
         return true;
       }
       if (this[nodes][clientObj.socket.sid]) {
-        log.trace(`Quty cluster: node ${clientObj.socket.sid} is already present`);
+        this.logger.trace(`Quty cluster: node ${clientObj.socket.sid} is already present`, {sid: clientObj.socket.sid});
         clientObj.destroy();
         return false;
       }
+      if (_isNodeLeaving.call(this, clientObj.socket.sid)) {
+        clientObj.destroy();
+        delete this[pendingNodes][nodeKey];
+        return false;
+      }
       this[nodes][clientObj.socket.sid] = clientObj.socket;
       this[nodeIps][clientObj.url] = clientObj.socket.sid;
+      if (this[seenNodes][nodeKey]) this[clusterStats].reconnects++;
+      this[seenNodes][nodeKey] = true;
       _bindClientNode.call(this, clientObj);
       this.emit('node.add', clientObj.socket);
       delete this[pendingNodes][nodeKey];
@@ -291,7 +438,8 @@ class QutyCluster extends Server {
       }
       return true;
     } catch (e) {
-      log.debug(`[quty-cluster]: could not connect to node: ${url} [${e.message}]`);
+      this[clusterStats].connectFailures++;
+      this.logger.debug(`[quty-cluster]: could not connect to node: ${url} [${e.message}]`);
       delete this[pendingNodes][nodeKey];
       return false;
     }
@@ -336,6 +484,23 @@ class QutyCluster extends Server {
     return items;
   }
 
+  /**
+   * Returns an array of {pid, address, tid} with all the publishers connected to this node.
+   * */
+  getPublishers() {
+    let items = [];
+    if (!this.ws || !this.ws.clients) return items;
+    this.ws.clients.forEach((socket) => {
+      if (!socket.pid) return;
+      items.push({
+        pid: socket.pid,
+        address: socket.remoteAddress,
+        tid: socket.tid
+      });
+    });
+    return items;
+  }
+
   /**
    * Handles cluster client authorisation on connection.
    * Since the QutyCluster uses the auth token/token creation to handle new client connections
@@ -350,6 +515,7 @@ class QutyCluster extends Server {
       secret: this.config.auth
     });
     if (!tokenData) return false;
+    if (this.isTokenRevoked(tokenData._j)) return false;
     if (tokenData._t === token.TYPE.CLUSTER) {
       if (!tokenData._i) return false;
       // We place our data in socket.quty, so that we can transfer it to the websocket socket, from the http socket.
@@ -367,12 +533,65 @@ class QutyCluster extends Server {
     } else {
       return false;
     }
+    socket.quty.tid = tokenData._j;
     delete tokenData._i;
+    delete tokenData._j;
     socket.quty.data = tokenData || {};
     return true;
   }
 
 
+  /**
+   * Sets a channel authorisation function, used to accept/deny client actions on specific channels.
+   * It is called by the hub before a client subscribes or publishes to a channel.
+   * Server-side calls are trusted and are not checked: QutyCluster.subscribeClient, QutyCluster.sendMessage,
+   * publishers and the HTTP API (whose callers are authorised by their CLUSTER_CLIENT token).
+   * The function itself can return (or resolve to, if it returns a promise):
+   *  - true - if the client is allowed
+   *  - false - if the client is denied
+   *  - string - if the client is denied, the string being the denial reason
+   *  Throwing an error (or rejecting) denies the client, using the error message as the reason.
+   * @Arguments
+   *  - fn - the callback function to call with the following structure: fn(cid, channel, data)
+   *    where data.action is one of QutyCluster.ACTION and data.message is the message to publish.
+   * */
+  setChannelAuthorization(fn) {
+    if (typeof fn !== 'function') throw new Error('Quty: channel authorisation function required');
+    this[channelAuthFn] = fn;
+    return this;
+  }
+
+  /**
+   * Verifies if the client is allowed to perform an action on the specified channel,
+   * using the channel authorisation function, if set.
+   * Returns a promise that resolves with {allowed, reason}
+   * @Arguments
+   *  - cid - the client id
+   *  - channel - the target channel
+   *  - data - additional data passed to the authorisation function
+   * */
+  async authorizeChannel(cid, channel, data = {}) {
+    if (!this[channelAuthFn]) return {
+      allowed: true
+    };
+    let res;
+    try {
+      res = await this[channelAuthFn](cid, channel, data);
+    } catch (e) {
+      return {
+        allowed: false,
+        reason: (e && e.message) || CHANNEL_DENIED_REASON
+      };
+    }
+    if (res === true) return {
+      allowed: true
+    };
+    return {
+      allowed: false,
+      reason: (typeof res === 'string' && res) ? res : CHANNEL_DENIED_REASON
+    };
+  }
+
   /**
    * Sends a message to the specified channel. This uses the cluster's ChannelHub
    * object and abstracts-away the channel-specific functionality
@@ -384,6 +603,55 @@ class QutyCluster extends Server {
     return this.hub.sendMessage(channel, message, this.id);
   }
 
+  /**
+   * Sends a message directly to the specified client, wherever it is connected in the cluster.
+   * The message is only delivered to the node that owns the client (see QutyCluster.registerClient).
+   * Returns true if the owner of the client was found, false if the message was not sent.
+   * @Arguments
+   *  - cid - the client id
+   *  - message - the message to send
+   * */
+  sendToClient(cid, message) {
+    if (typeof cid === 'number') cid = cid.toString();
+    if (typeof cid !== 'string' || !cid) return false;
+    if (typeof message === 'object' && message && !util.isBinary(message)) message = JSON.stringify(message);
+    let sid = this.hub.getClientNode(cid);
+    if (sid === this.id) {
+      this.emit('direct', cid, message);
+      return true;
+    }
+    let node = sid ? this.getNode(sid) : null;
+    if (!node) return false;
+    util.sendSocketEvent(node, events.CLUSTER.CLIENT_MESSAGE, {
+      cid,
+      m: message
+    });
+    return true;
+  }
+
+  /**
+   * Registers a client that connected to this node, announcing it to the other nodes,
+   * so that direct messages are routed to us (see QutyCluster.sendToClient)
+   * @Arguments
+   *  - cid - the client id
+   * */
+  registerClient(cid) {
+    if (typeof cid === 'number') cid = cid.toString();
+    if (typeof cid !== 'string' || !cid) return false;
+    return this.hub.addClientNode(this.id, cid);
+  }
+
+  /**
+   * Removes a client that disconnected from this node, announcing it to the other nodes.
+   * @Arguments
+   *  - cid - the client id
+   * */
+  unregisterClient(cid) {
+    if (typeof cid === 'number') cid = cid.toString();
+    if (typeof cid !== 'string' || !cid) return false;
+    return this.hub.removeClientNode(cid, this.id);
+  }
+
   /**
    * Kicks a client from the server.
    * @Arguments
@@ -396,12 +664,31 @@ class QutyCluster extends Server {
     this.hub.emit('client.remove', cid);
   }
 
+  /**
+   * Kicks a client from the whole cluster, broadcasting the kick to all the other nodes.
+   * Returns true if the node that owns the client was known.
+   * @Arguments
+   *  - cid - the client id
+   * */
+  kickClient(cid) {
+    if (typeof cid === 'number') cid = cid.toString();
+    if (typeof cid !== 'string' || !cid) return false;
+    let isKnown = this.hub.getClientNode(cid) !== null;
+    this.disconnectClient(cid);
+    this.broadcast(events.CLUSTER.CLIENT_KICK, {
+      cid
+    }, true);
+    return isKnown;
+  }
+
   /**
    * Subscribes the specified client to the specified channel. This uses the cluster's ChannelHub
    * and is a proxy function for adding a client to a channel.
    * @Arguments
    *  - cid - the client id
    *  - channel - the target channel
+   *  Note:
+   *  this is a trusted call, it does not use the channel authorisation function (see QutyCluster.setChannelAuthorization)
    * */
   subscribeClient(cid, channel) {
     if (typeof cid === 'number') cid = cid.toString();
@@ -418,6 +705,7 @@ class QutyCluster extends Server {
    *  - channel - the target channel(optional)
    *  Note:
    *  if channel is not specified, remove the client completely.
+   *  This is a trusted call, it does not use the channel authorisation function (see QutyCluster.setChannelAuthorization)
    * */
   unsubscribeClient(cid, channel) {
     if (typeof cid === 'number') cid = cid.toString();
@@ -428,6 +716,308 @@ class QutyCluster extends Server {
     return this.hub.unsubscribeClient(cid, channel);
   }
 
+  /**
+   * Returns an array of {cid, sid} with all the clients present in a channel,
+   * across all the nodes of the cluster. This is a proxy function that uses the internal ChannelHub object
+   * @Arguments
+   *  - channel - the target channel name.
+   * */
+  getPresence(channel) {
+    if (typeof channel !== 'string' || !channel) return [];
+    return this.hub.getPresence(channel);
+  }
+
+  /**
+   * Returns an array of {channel, local, total, nodes} with all the known channels, where
+   *  - local - the number of clients of this node subscribed to the channel
+   *  - total - the number of clients present in the channel, across the cluster
+   *  - nodes - the number of nodes subscribed to the channel
+   * */
+  getChannels() {
+    let hub = this.hub,
+      channels = hub.channels,
+      items = [];
+    for (let i = 0, len = channels.length; i < len; i++) {
+      let c = channels[i];
+      items.push({
+        channel: c,
+        local: (hub.clientChannels[c] || []).length,
+        total: hub.presence[c] ? Object.keys(hub.presence[c]).length : 0,
+        nodes: (hub.nodeChannels[c] || []).length
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Returns the {channel, clients, nodes} details of a channel, or null if the channel does not exist, where
+   *  - clients - an array of {cid, sid} with the clients present in the channel, across the cluster
+   *  - nodes - an array with the ids of the nodes subscribed to the channel
+   * @Arguments
+   *  - channel - the target channel name.
+   * */
+  getChannel(channel) {
+    if (typeof channel !== 'string' || !channel) return null;
+    let hub = this.hub;
+    if (!hub.clientChannels[channel] && !hub.nodeChannels[channel] && !hub.presence[channel]) return null;
+    return {
+      channel,
+      clients: hub.getPresence(channel),
+      nodes: (hub.nodeChannels[channel] || []).slice(0)
+    };
+  }
+
+  /**
+   * Removes a channel from the whole cluster, unsubscribing all its clients
+   * and broadcasting the unsubscribe of each client to the other nodes.
+   * Returns the number of clients that were unsubscribed.
+   * @Arguments
+   *  - channel - the target channel name.
+   * */
+  removeChannel(channel) {
+    let data = this.getChannel(channel);
+    if (!data) return 0;
+    for (let i = 0, len = data.clients.length; i < len; i++) {
+      let cid = data.clients[i].cid;
+      this.unsubscribeClient(cid, channel);
+      this.broadcast(events.CLUSTER.CLIENT_UNSUBSCRIBE, {
+        c: channel,
+        cid
+      }, true);
+    }
+    return data.clients.length;
+  }
+
+  /**
+   * Returns an array of {q, m, t} with the channel's message history, that came after
+   * the specified sequence number. This is a proxy function that uses the internal ChannelHub object
+   * @Arguments
+   *  - channel - the target channel name.
+   *  - afterSeq - the sequence number to start after (optional)
+   * */
+  getHistory(channel, afterSeq) {
+    if (typeof channel !== 'string' || !channel) return [];
+    return this.hub.getHistory(channel, afterSeq);
+  }
+
+  /**
+   * Revokes the specified token id across the whole cluster, until the given time.
+   * Sockets that were authorised with the token are disconnected, and the token is no longer accepted.
+   * Returns false if the arguments are invalid.
+   * @Arguments
+   *  - id - the token id (see token.create, opt.tokenId)
+   *  - until - the date/timestamp until the token is revoked. Defaults to 24 hours from now.
+   *            This should be the token's expiration, since expired tokens are not accepted anyway.
+   * */
+  revokeToken(id, until) {
+    if (typeof id !== 'string' || !id) return false;
+    if (until instanceof Date) until = until.getTime();
+    if (typeof until !== 'number') until = Date.now() + TOKEN_REVOKE_TTL;
+    if (!_revokeToken.call(this, id, until)) return false;
+    this.broadcast(events.CLUSTER.TOKEN_REVOKE, {
+      j: id,
+      u: until
+    }, true);
+    return true;
+  }
+
+  /**
+   * Checks if the specified token id is revoked.
+   * @Arguments
+   *  - id - the token id
+   * */
+  isTokenRevoked(id) {
+    if (typeof id !== 'string' || !id) return false;
+    let until = this[revokedTokens][id];
+    if (typeof until !== 'number') return false;
+    if (until > Date.now()) return true;
+    delete this[revokedTokens][id];
+    return false;
+  }
+
+  /**
+   * Returns a map of {tokenId:untilTimestamp} with all the revoked tokens.
+   * */
+  getRevokedTokens() {
+    let res = {},
+      now = Date.now(),
+      ids = Object.keys(this[revokedTokens]);
+    for (let i = 0, len = ids.length; i < len; i++) {
+      let until = this[revokedTokens][ids[i]];
+      if (until <= now) continue;
+      res[ids[i]] = until;
+    }
+    return res;
+  }
+
+  /**
+   * Consumes the rate limits of a message that is about to be published.
+   * The publisher/client limit is checked first, so that throttled publishers and clients
+   * do not consume the channel's limit.
+   * Returns null if the message is allowed, or the type of the limit that throttled it (see QutyCluster.RATE_LIMIT)
+   * @Arguments
+   *  - data.pid - the publisher id (optional)
+   *  - data.cid - the client id (optional)
+   *  - data.channel - the target channel (optional)
+   * */
+  checkRateLimit(data = {}) {
+    let checks = [
+      [QutyCluster.RATE_LIMIT.PUBLISHER, data.pid],
+      [QutyCluster.RATE_LIMIT.CLIENT, data.cid],
+      [QutyCluster.RATE_LIMIT.CHANNEL, data.channel]
+    ];
+    for (let i = 0, len = checks.length; i < len; i++) {
+      let type = checks[i][0],
+        key = checks[i][1],
+        limiter = this[rateLimiters][type];
+      if (!limiter || typeof key !== 'string' || !key) continue;
+      if (limiter.consume(key)) continue;
+      this.logger.trace(`[quty-cluster] throttled message of ${type}: ${key}`);
+      this.emit('throttle', type, key);
+      return type;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the throttling statistics, as a map of {rateLimitType:{total, keys:{key:throttledCount}}}
+   * for every configured rate limit.
+   * */
+  getThrottleStats() {
+    let res = {},
+      types = Object.keys(this[rateLimiters]);
+    for (let i = 0, len = types.length; i < len; i++) {
+      let limiter = this[rateLimiters][types[i]];
+      res[types[i]] = {
+        total: limiter.throttled,
+        keys: limiter.getThrottled()
+      };
+    }
+    return res;
+  }
+
+  /**
+   * Registers a function that returns additional metrics to expose in GET /metrics (eg: the hub's clients)
+   * The function is called with no arguments and returns an array of metrics (see lib/metrics.js)
+   * @Arguments
+   *  - fn - the metrics collector function
+   * */
+  addMetricsCollector(fn) {
+    if (typeof fn !== 'function') throw new Error('Quty: metrics collector function required');
+    this[metricsCollectors].push(fn);
+    return this;
+  }
+
+  /**
+   * Returns an array with all the cluster metrics (see lib/metrics.js),
+   * including the ones returned by the registered metrics collectors.
+   * */
+  getMetrics() {
+    let publishers = this.getPublishers().length;
+    let throttleStats = this.getThrottleStats();
+    let items = [{
+      name: 'quty_cluster_ready',
+      help: 'Whether the cluster node is ready',
+      value: this.ready
+    }, {
+      name: 'quty_nodes_connected',
+      help: 'The number of connected cluster nodes',
+      value: this.getConnectedNodes().length
+    }, {
+      name: 'quty_publishers_connected',
+      help: 'The number of connected publishers',
+      value: publishers
+    }, {
+      name: 'quty_clients_subscribed',
+      help: 'The number of clients of this node that are subscribed to at least one channel',
+      value: this.hub.countNodeClients(this.id)
+    }, {
+      name: 'quty_channels',
+      help: 'The number of channels across the cluster',
+      value: this.hub.channels.length
+    }, {
+      name: 'quty_messages_total',
+      help: 'The number of messages sent through the channel hub',
+      type: metrics.TYPE.COUNTER,
+      value: this.hub.stats.messages
+    }, {
+      name: 'quty_messages_routed_total',
+      help: 'The number of messages that had at least one subscriber',
+      type: metrics.TYPE.COUNTER,
+      value: this.hub.stats.routed
+    }, {
+      name: 'quty_cluster_events_received_total',
+      help: 'The number of events received from nodes and publishers, per event type',
+      type: metrics.TYPE.COUNTER,
+      values: metrics.eventValues(events.CLUSTER, this.stats.eventsIn)
+    }, {
+      name: 'quty_cluster_events_sent_total',
+      help: 'The number of events sent to nodes and publishers, per event type',
+      type: metrics.TYPE.COUNTER,
+      values: metrics.eventValues(events.CLUSTER, this.stats.eventsOut)
+    }, {
+      name: 'quty_cluster_bytes_received_total',
+      help: 'The number of bytes received from nodes and publishers',
+      type: metrics.TYPE.COUNTER,
+      value: this.stats.bytesIn
+    }, {
+      name: 'quty_cluster_bytes_sent_total',
+      help: 'The number of bytes sent to nodes and publishers',
+      type: metrics.TYPE.COUNTER,
+      value: this.stats.bytesOut
+    }, {
+      name: 'quty_pending_events',
+      help: 'The number of events received before the cluster was ready',
+      value: this[clusterPendingEvents].length
+    }, {
+      name: 'quty_discovery_failures_total',
+      help: 'The number of failed node discovery attempts',
+      type: metrics.TYPE.COUNTER,
+      value: this[clusterStats].discoveryFailures
+    }, {
+      name: 'quty_discovery_provider_failures_total',
+      help: 'The number of failed or timed out calls, per discovery provider',
+      type: metrics.TYPE.COUNTER,
+      values: this.getDiscoveryProviders().map((p) => ({
+        labels: {
+          provider: p.name
+        },
+        value: p.failures
+      }))
+    }, {
+      name: 'quty_node_connect_failures_total',
+      help: 'The number of failed connections to discovered nodes',
+      type: metrics.TYPE.COUNTER,
+      value: this[clusterStats].connectFailures
+    }, {
+      name: 'quty_node_reconnects_total',
+      help: 'The number of times we reconnected to a node we were previously connected to',
+      type: metrics.TYPE.COUNTER,
+      value: this[clusterStats].reconnects
+    }, {
+      name: 'quty_throttled_total',
+      help: 'The number of messages throttled by rate limits, per rate limit type',
+      type: metrics.TYPE.COUNTER,
+      values: Object.keys(throttleStats).map((type) => {
+        return {
+          labels: {
+            type
+          },
+          value: throttleStats[type].total
+        };
+      })
+    }];
+    for (let i = 0, len = this[metricsCollectors].length; i < len; i++) {
+      try {
+        let res = this[metricsCollectors][i]();
+        if (res instanceof Array) items = items.concat(res);
+      } catch (e) {
+        this.logger.warn(`[quty-cluster] metrics collector failed: ${e.message}`);
+      }
+    }
+    return items;
+  }
+
   /**
    * Checks if a client is subscribed to a channel. This is a proxy function call that
    * uses the internal ChannelHub object
@@ -451,19 +1041,20 @@ function _bindClientNode(clientObj) {
     self = this;
 
   function remove() {
+    if (removed) return; // destroying the client triggers remove() again.
+    removed = true;
     delete self[nodes][clientObj.sid];
     delete self[pendingNodes][clientObj.url];
     delete self[nodeIps][clientObj.url];
+    if (self[nodeClients][clientObj.url] === clientObj) delete self[nodeClients][clientObj.url];
     try {
       clientObj.destroy();
     } catch (e) {
     }
-    if (!removed) {
-      removed = true;
-      self.emit('node.remove', clientObj.socket);
-    }
+    self.emit('node.remove', socket);
   }
 
+  this[nodeClients][clientObj.url] = clientObj;
   clientObj.on('destroy', remove);
   clientObj.on('disconnect', remove);
   let socket = clientObj.socket;
@@ -476,19 +1067,17 @@ function _bindClientNode(clientObj) {
  * Binds the server to listen to specific events that are coming from the parent server class.
  * */
 async function _bindServer() {
-  handleClusterClient = handleClusterClient.bind(this);
-  handleClusterPublisher = handleClusterPublisher.bind(this);
   /**
    * Handle a new client connection
    * */
   this.on('client', (socket) => {
     // IF we have a publisher client connected ,we handle it.
     if (socket.pid) {
-      return handleClusterPublisher(socket);
+      return handleClusterPublisher.call(this, socket);
     }
     // If we have a cluster client, handle it now
     if (socket.sid) {
-      return handleClusterClient(socket);
+      return handleClusterClient.call(this, socket);
     }
     // WE don't recognize, close it.
     try {
@@ -510,7 +1099,7 @@ async function _bindServer() {
     }
     if (socket.pid) {
       // Handle disconnected publisher
-      log.trace(`[quty-cluster] publisher client [${socket.pid}] disconnected from: ${socket.remoteAddress}`);
+      this.logger.trace(`[quty-cluster] publisher client [${socket.pid}] disconnected from: ${socket.remoteAddress}`, {pid: socket.pid});
       return this.emit('publisher.remove', socket);
     }
   });
@@ -523,11 +1112,13 @@ async function _bindServer() {
     if (surl.indexOf('://') !== -1) {
       surl = socket.url.split('://')[1].split('/')[0];
     }
-    log.debug(`[quty-cluster] added node: ${socket.sid} [${surl}]`);
+    this.logger.debug(`[quty-cluster] added node: ${socket.sid} [${surl}]`, {sid: socket.sid});
     let data = {
       s: this.id,
       n: this.nodes,
-      c: this.hub.getNodeSubscriptions(this.id)
+      c: this.hub.getNodeSubscriptions(this.id),
+      p: this.hub.getNodePresence(this.id),
+      o: this.hub.getNodeClients(this.id)
     };
     this.broadcast(events.CLUSTER.NODE_STATE, data, true);
   });
@@ -539,11 +1130,14 @@ async function _bindServer() {
     if (surl.indexOf('://') !== -1) {
       surl = socket.url.split('://')[1].split('/')[0];
     }
-    log.debug(`[quty-cluster] removed node: ${socket.sid} [${surl}]`);
+    this.logger.debug(`[quty-cluster] removed node: ${socket.sid} [${surl}]`, {sid: socket.sid});
+    if (this[closing]) return; // we are leaving, so other nodes no longer need our state.
     let data = {
       s: this.id,
       n: this.nodes,
-      c: this.hub.getNodeSubscriptions(this.id)
+      c: this.hub.getNodeSubscriptions(this.id),
+      p: this.hub.getNodePresence(this.id),
+      o: this.hub.getNodeClients(this.id)
     };
     this.hub.removeNode(socket.sid);
     this.broadcast(events.CLUSTER.NODE_STATE, data, true);
@@ -553,6 +1147,11 @@ async function _bindServer() {
    * Handle an incoming message from a QutyClient
    * */
   this.on('event', (e, socket) => {
+    /** Handle a node that is shutting down, so that we stop routing to it */
+    if (e.event === events.CLUSTER.NODE_LEAVE) {
+      if (!socket.sid || socket.sid === this.id) return;
+      return _handleNodeLeave.call(this, socket, e.data);
+    }
     /** Check the cluster state, and see if we can connect to other nodes */
     if (e.event === events.CLUSTER.NODE_STATE) {
       if (e.data.n instanceof Array) {
@@ -561,6 +1160,7 @@ async function _bindServer() {
           let node = e.data.n[i];
           if (node.sid === this.id) continue;
           if (this[nodes][node.sid] || this[nodeIps][node.url]) continue;
+          if (_isNodeLeaving.call(this, node.sid) || _isNodeLeaving.call(this, node.url)) continue;
           this.addNode(node.url); // async but will never fail.
         }
       }
@@ -570,6 +1170,12 @@ async function _bindServer() {
           this.hub.subscribeNode(e.data.s, e.data.c[i]);
         }
       }
+      if (typeof e.data.p === 'object' && e.data.p && e.data.s !== this.id) {
+        this.hub.syncNodePresence(e.data.s, e.data.p);
+      }
+      if (e.data.o instanceof Array && e.data.s !== this.id) {
+        this.hub.syncNodeClients(e.data.s, e.data.o);
+      }
       // Once we received the first cluster state, we mark the cluster as ready.
       if (!this[clusterReady]) {
         _setClusterReady.call(this);
@@ -604,6 +1210,31 @@ async function _bindServer() {
           broadcast: false
         });
       }
+      /* Handles a message sent directly to one of our clients */
+      if (e.event === events.CLUSTER.CLIENT_MESSAGE) {
+        if (!e.data.cid) return;
+        return this.emit('direct', e.data.cid, e.data.m);
+      }
+      /* Handle when a client of another node is present in a channel */
+      if (e.event === events.CLUSTER.PRESENCE_JOIN) {
+        if (!e.data.c || !e.data.cid) return;
+        return this.hub.addPresence(socket.sid, e.data.cid, e.data.c);
+      }
+      /* Handle when a client of another node is no longer present in a channel */
+      if (e.event === events.CLUSTER.PRESENCE_LEAVE) {
+        if (!e.data.c || !e.data.cid) return;
+        return this.hub.removePresence(e.data.cid, e.data.c, socket.sid);
+      }
+      /* Handle when a client connected to another node */
+      if (e.event === events.CLUSTER.CLIENT_CONNECT) {
+        if (!e.data.cid) return;
+        return this.hub.addClientNode(socket.sid, e.data.cid);
+      }
+      /* Handle when a client disconnected from another node */
+      if (e.event === events.CLUSTER.CLIENT_DISCONNECT) {
+        if (!e.data.cid) return;
+        return this.hub.removeClientNode(e.data.cid, socket.sid);
+      }
     }
 
     /** Handle incoming messages from a publisher */
@@ -611,7 +1242,36 @@ async function _bindServer() {
       /* Handles the publishing of a message from a publisher */
       if (e.event === events.CLUSTER.CHANNEL_MESSAGE) {
         if (!e.data.c) return;
-        return this.hub.sendMessage(e.data.c, e.data.m, this.id);
+        if (this.checkRateLimit({pid: socket.pid, channel: e.data.c})) {
+          return _rejectThrottledEvent.call(this, socket, e);
+        }
+        let res = this.hub.routeMessage(e.data.c, e.data.m, this.id);
+        // If the publisher expects an acknowledgement, we reply with the routing result.
+        if (typeof e.data.r !== 'undefined') {
+          util.sendSocketEvent(socket, events.CLUSTER.MESSAGE_ACK, {
+            r: e.data.r,
+            o: res.routed,
+            q: res.seq
+          });
+        }
+        return res.routed;
+      }
+      /* Handles the sending of a message directly to a client */
+      if (e.event === events.CLUSTER.CLIENT_MESSAGE) {
+        if (!e.data.cid) return;
+        if (this.checkRateLimit({pid: socket.pid})) {
+          return _rejectThrottledEvent.call(this, socket, e);
+        }
+        return this.sendToClient(e.data.cid, e.data.m);
+      }
+      /* Handles a publisher requesting the history of a channel */
+      if (e.event === events.CLUSTER.CHANNEL_HISTORY) {
+        if (!e.data.c) return;
+        return util.sendSocketEvent(socket, events.CLUSTER.CHANNEL_HISTORY, {
+          r: e.data.r,
+          c: e.data.c,
+          i: this.getHistory(e.data.c, e.data.q)
+        });
       }
     }
     /** Common functionality for both publishers/nodes */
@@ -624,6 +1284,14 @@ async function _bindServer() {
       }
       return;
     }
+    /* Handles revoking a token */
+    if (e.event === events.CLUSTER.TOKEN_REVOKE) {
+      if (!e.data.j) return;
+      if (socket.pid) { // If it comes from a publisher, we broadcast to other nodes.
+        return this.revokeToken(e.data.j, e.data.u);
+      }
+      return _revokeToken.call(this, e.data.j, e.data.u);
+    }
     /* Handles unsubscribing a client from a channel */
     if (e.event === events.CLUSTER.CLIENT_UNSUBSCRIBE) {
       if (!e.data.c || !e.data.cid) return;
@@ -648,6 +1316,11 @@ async function _bindServer() {
     res.statusCode = 200;
     return res.end('Ready');
   });
+  this.$get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+    res.statusCode = 200;
+    res.end(metrics.format(this.getMetrics()));
+  });
   this.$get(['/_status', '/health'], (req, res) => {
     let result = {
       ready: this.ready,
@@ -656,6 +1329,253 @@ async function _bindServer() {
     };
     this._sendHttpJson(res, result);
   });
+
+  /**
+   * Handles publishing through the HTTP API
+   * */
+  this.$post('/publish', async (req, res) => {
+    let data = await _readHttpApiRequest.call(this, req, res);
+    if (!data) return;
+    let channel = data.channel;
+    if (typeof channel === 'number') channel = channel.toString();
+    if (typeof channel !== 'string' || !channel || typeof data.message === 'undefined') {
+      return _sendHttpApiError.call(this, req, res, 400, 'channel and message are required');
+    }
+    if (!_checkHttpApiRateLimit.call(this, req, res, {
+      pid: req.pid,
+      channel
+    })) return;
+    let routed = this.sendMessage(channel, data.message);
+    this._sendHttpJson(res, {
+      routed
+    });
+  });
+  this.$post('/kick', async (req, res) => {
+    let data = await _readHttpApiRequest.call(this, req, res);
+    if (!data) return;
+    if (typeof data.cid !== 'string' || !data.cid) {
+      return _sendHttpApiError.call(this, req, res, 400, 'cid is required');
+    }
+    if (!_checkHttpApiRateLimit.call(this, req, res, {
+      pid: req.pid
+    })) return;
+    this._sendHttpJson(res, {
+      routed: this.kickClient(data.cid)
+    });
+  });
+  this.$post('/unsubscribe', async (req, res) => {
+    let data = await _readHttpApiRequest.call(this, req, res);
+    if (!data) return;
+    if (typeof data.cid !== 'string' || !data.cid || typeof data.channel !== 'string' || !data.channel) {
+      return _sendHttpApiError.call(this, req, res, 400, 'cid and channel are required');
+    }
+    if (!_checkHttpApiRateLimit.call(this, req, res, {
+      pid: req.pid
+    })) return;
+    let routed = this.unsubscribeClient(data.cid, data.channel);
+    this.broadcast(events.CLUSTER.CLIENT_UNSUBSCRIBE, {
+      c: data.channel,
+      cid: data.cid
+    }, true);
+    this._sendHttpJson(res, {
+      routed
+    });
+  });
+
+  /**
+   * Handles the admin HTTP API
+   * */
+  this.$get('/admin/channels', (req, res) => {
+    if (!_checkHttpAdminRequest.call(this, req, res)) return;
+    this._sendHttpJson(res, {
+      channels: this.getChannels()
+    });
+  });
+  this.$get('/admin/channel', (req, res) => {
+    if (!_checkHttpAdminRequest.call(this, req, res)) return;
+    if (typeof req.query.channel !== 'string' || !req.query.channel) {
+      return _sendHttpApiError.call(this, req, res, 400, 'channel is required');
+    }
+    let data = this.getChannel(req.query.channel);
+    if (!data) return _sendHttpApiError.call(this, req, res, 404, 'Channel not found');
+    this._sendHttpJson(res, data);
+  });
+  this.$get('/admin/nodes', (req, res) => {
+    if (!_checkHttpAdminRequest.call(this, req, res)) return;
+    let items = this.nodes;
+    for (let i = 0, len = items.length; i < len; i++) {
+      items[i].clients = this.hub.countNodeClients(items[i].sid);
+    }
+    this._sendHttpJson(res, {
+      nodes: items
+    });
+  });
+  this.$get('/admin/publishers', (req, res) => {
+    if (!_checkHttpAdminRequest.call(this, req, res)) return;
+    this._sendHttpJson(res, {
+      publishers: this.getPublishers()
+    });
+  });
+  this.$delete('/admin/client', (req, res) => {
+    if (!_checkHttpAdminRequest.call(this, req, res)) return;
+    if (typeof req.query.cid !== 'string' || !req.query.cid) {
+      return _sendHttpApiError.call(this, req, res, 400, 'cid is required');
+    }
+    this._sendHttpJson(res, {
+      routed: this.kickClient(req.query.cid)
+    });
+  });
+  this.$delete('/admin/channel', (req, res) => {
+    if (!_checkHttpAdminRequest.call(this, req, res)) return;
+    if (typeof req.query.channel !== 'string' || !req.query.channel) {
+      return _sendHttpApiError.call(this, req, res, 400, 'channel is required');
+    }
+    this._sendHttpJson(res, {
+      clients: this.removeChannel(req.query.channel)
+    });
+  });
+}
+
+/**
+ * Verifies the authorisation of an incoming HTTP API request.
+ * The request must contain a CLUSTER_CLIENT token signed with the cluster's auth secret,
+ * in the Authorization header (as Bearer), or the auth secret in the X-Quty-Secret header.
+ * Without an auth secret, no request is authorised.
+ * Returns the token data, or null. Requests with the auth secret are authorised as admin.
+ * */
+function _authorizeHttpRequest(req) {
+  let secret = this.config.auth,
+    header = req.headers.authorization;
+  if (!secret) return null;
+  if (typeof req.headers[HTTP_SECRET_HEADER] === 'string') {
+    if (!_isHttpSecret.call(this, req.headers[HTTP_SECRET_HEADER])) return null;
+    return {
+      _i: HTTP_SECRET_ID,
+      _d: 1
+    };
+  }
+  if (typeof header !== 'string' || header.indexOf('Bearer ') !== 0) return null;
+  let tokenData = token.verify(header.substr(7).trim(), {
+    secret,
+    type: token.TYPE.CLUSTER_CLIENT
+  });
+  if (!tokenData || this.isTokenRevoked(tokenData._j)) return null;
+  return tokenData;
+}
+
+/**
+ * Checks if the given value is one of our HMAC auth secrets (see token.getSecrets), in constant time.
+ * */
+function _isHttpSecret(value) {
+  let secrets = token.getSecrets(this.config.auth),
+    valueBuf = Buffer.from(value),
+    isValid = false;
+  for (let i = 0, len = secrets.length; i < len; i++) {
+    let secretBuf = Buffer.from(secrets[i]);
+    if (secretBuf.length === valueBuf.length && crypto.timingSafeEqual(secretBuf, valueBuf)) isValid = true;
+  }
+  return isValid;
+}
+
+/**
+ * Authorises and reads the JSON body of an incoming HTTP API request.
+ * Returns the body, or replies with an error and returns null.
+ * */
+async function _readHttpApiRequest(req, res) {
+  if (!_checkHttpApiRequest.call(this, req, res)) return null;
+  try {
+    return await this._readHttpJson(req);
+  } catch (e) {
+    _sendHttpApiError.call(this, req, res, e.status || 400, e.message);
+    return null;
+  }
+}
+
+/**
+ * Checks that the cluster is ready and the HTTP API request is authorised.
+ * Returns true, or replies with an error and returns false.
+ * */
+function _checkHttpApiRequest(req, res) {
+  if (!this.ready) {
+    _sendHttpApiError.call(this, req, res, 503, 'Service Unavailable');
+    return false;
+  }
+  let tokenData = _authorizeHttpRequest.call(this, req);
+  if (!tokenData) {
+    _sendHttpApiError.call(this, req, res, 401, 'Unauthorized');
+    return false;
+  }
+  // HTTP requests are rate limited as publishers, using the token's id when it has no publisher id.
+  req.pid = tokenData._i || tokenData._j;
+  req.tid = tokenData._j;
+  req.admin = tokenData._d === 1;
+  return true;
+}
+
+/**
+ * Checks that the HTTP API request is authorised with an admin token (see token.create, opt.admin)
+ * Returns true, or replies with an error and returns false.
+ * */
+function _checkHttpAdminRequest(req, res) {
+  if (!_checkHttpApiRequest.call(this, req, res)) return false;
+  if (!req.admin) {
+    _sendHttpApiError.call(this, req, res, 403, 'Forbidden');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Consumes the rate limits of an HTTP API request (see QutyCluster.checkRateLimit)
+ * Returns true, or replies with 429 and returns false if the request is throttled.
+ * */
+function _checkHttpApiRateLimit(req, res, data) {
+  if (!this.checkRateLimit(data)) return true;
+  _sendHttpApiError.call(this, req, res, 429, RATE_LIMITED_REASON);
+  return false;
+}
+
+/**
+ * Sends an HTTP API error back to the client.
+ * */
+function _sendHttpApiError(req, res, status, message) {
+  let err = new Error(message);
+  err.status = status;
+  return this._sendHttpError(req, res, err);
+}
+
+/**
+ * Returns the array of codec names we accept for node-to-node events,
+ * in the order of preference. JSON is always accepted, as the fallback codec.
+ * */
+function _getCodecs(names) {
+  if (typeof names === 'string') names = names.split(',');
+  if (!(names instanceof Array)) names = [];
+  let res = [];
+  for (let i = 0, len = names.length; i < len; i++) {
+    let name = (typeof names[i] === 'string') ? names[i].trim() : '';
+    if (!name || res.indexOf(name) !== -1) continue;
+    if (!codec.isSupported(name)) {
+      log.warn(`[quty-cluster] codec ${name} is not supported`);
+      continue;
+    }
+    res.push(name);
+  }
+  if (res.indexOf(codec.JSON) === -1) res.push(codec.JSON);
+  return res;
+}
+
+/**
+ * Returns the batching options {delay, size} for node-to-node channel messages,
+ * or null if batching is disabled.
+ * */
+function _getBatchOptions(opt) {
+  if (opt === true) opt = {};
+  if (typeof opt !== 'object' || !opt) return null;
+  let res = {};
+  if (typeof opt.delay === 'number' && opt.delay > 0) res.delay = opt.delay;
+  if (typeof opt.size === 'number' && opt.size > 0) res.size = opt.size;
+  return res;
 }
 
 /**
@@ -667,17 +1587,25 @@ function handleClusterClient(socket) {
   let clusterInfo = {
     _t: token.TYPE.CLUSTER,
     _i: this.id,
-    c: this.hub.getNodeSubscriptions(this.id)
+    c: this.hub.getNodeSubscriptions(this.id),
+    p: this.hub.getNodePresence(this.id),
+    o: this.hub.getNodeClients(this.id),
+    r: this.getRevokedTokens(),
+    k: codec.negotiate(socket.data.k, this.codecs),
+    b: 1  // we can unpack batch frames
   };
+  // The NODE_INFO is always sent as JSON, the negotiated codec is used for all the events that follow.
   this.sendEvent(socket, events.CLUSTER.NODE_INFO, clusterInfo);
+  socket.codec = clusterInfo.k;
+  if (socket.data.b && this.batch) socket.batch = this.batch;
   // Next, we try adding this server to our local connections.
   let ip = `${socket.remoteAddress}`,
     port = socket.data.port;
   if (!ip || !port) return;
   let nodeKey = `${ip}:${port}`;
-  // IF we already have an active connection with this node, we drop this one.
-  if (this[nodeIps][nodeKey]) {
-    log.trace(`[quty-cluster]: node ${socket.sid} is already present`);
+  // IF we already have an active connection with this node or it is leaving, we drop this one.
+  if (this[nodeIps][nodeKey] || _isNodeLeaving.call(this, socket.sid)) {
+    this.logger.trace(`[quty-cluster]: node ${socket.sid} is already present`, {sid: socket.sid});
     try {
       socket.close();
     } catch (e) {
@@ -695,7 +1623,7 @@ function handleClusterClient(socket) {
  * Publishers area send-only connections that do not receive node-broadcasts and updates.
  * */
 function handleClusterPublisher(socket) {
-  log.trace(`[quty-cluster] publisher client [${socket.pid}] connected from: ${socket.remoteAddress}`);
+  this.logger.trace(`[quty-cluster] publisher client [${socket.pid}] connected from: ${socket.remoteAddress}`, {pid: socket.pid});
   this.emit('publisher.add', socket);
 }
 
@@ -715,7 +1643,7 @@ function _bindChannelHub(hub) {
     if (sid === this.id) return;
     let targetNode = this.getNode(sid);
     if (!targetNode) return;
-    util.sendSocketEvent(targetNode, events.CLUSTER.CHANNEL_MESSAGE, {
+    util.queueSocketEvent(targetNode, events.CLUSTER.CHANNEL_MESSAGE, {
       c: channel,
       s: sid,
       m: message
@@ -724,7 +1652,7 @@ function _bindChannelHub(hub) {
   hub.on('node.broadcast', (channel, message) => {
     Object.keys(this[nodes]).forEach((sid) => {
       let socket = this[nodes][sid];
-      util.sendSocketEvent(socket, events.CLUSTER.CHANNEL_MESSAGE, {
+      util.queueSocketEvent(socket, events.CLUSTER.CHANNEL_MESSAGE, {
         b: true, //specify it is a broadcast
         c: channel,
         s: this.id,
@@ -733,6 +1661,36 @@ function _bindChannelHub(hub) {
     });
   });
 
+  hub.on('presence.join', (channel, cid, sid) => {
+    if (sid !== this.id) return;  // we only broadcast our own clients.
+    this.broadcast(events.CLUSTER.PRESENCE_JOIN, {
+      c: channel,
+      cid
+    }, true);
+  });
+
+  hub.on('presence.leave', (channel, cid, sid) => {
+    if (sid !== this.id) return;  // we only broadcast our own clients.
+    this.broadcast(events.CLUSTER.PRESENCE_LEAVE, {
+      c: channel,
+      cid
+    }, true);
+  });
+
+  hub.on('client.connect', (cid, sid) => {
+    if (sid !== this.id) return;  // we only broadcast our own clients.
+    this.broadcast(events.CLUSTER.CLIENT_CONNECT, {
+      cid
+    }, true);
+  });
+
+  hub.on('client.disconnect', (cid, sid) => {
+    if (sid !== this.id) return;  // we only broadcast our own clients.
+    this.broadcast(events.CLUSTER.CLIENT_DISCONNECT, {
+      cid
+    }, true);
+  });
+
   hub.on('node.leave', (channel, sid) => {
     if (sid !== this.id) return;  // we only broadcast on current sid.
     this.broadcast(events.CLUSTER.CHANNEL_LEAVE, {
@@ -743,13 +1701,89 @@ function _bindChannelHub(hub) {
 
 }
 
+/**
+ * Creates the rate limiters of the configured rate limits.
+ * */
+function _getRateLimiters(opt) {
+  let res = {};
+  if (typeof opt !== 'object' || !opt) return res;
+  let types = Object.keys(QutyCluster.RATE_LIMIT);
+  for (let i = 0, len = types.length; i < len; i++) {
+    let type = QutyCluster.RATE_LIMIT[types[i]];
+    if (typeof opt[type] !== 'object' || !opt[type] || !opt[type].rate) continue;
+    res[type] = new RateLimiter(Object.assign({}, opt[type]));
+  }
+  return res;
+}
+
+/**
+ * Handles a publisher event that was throttled. We either reply with an ERROR event (if rateLimit.reject is set),
+ * or drop it, replying with a negative acknowledgement if the publisher is waiting for one.
+ * */
+function _rejectThrottledEvent(socket, e) {
+  let opt = this.config.rateLimit;
+  if (opt.reject === true) {
+    let data = {
+      e: e.event,
+      x: events.ERROR.RATE_LIMITED,
+      m: RATE_LIMITED_REASON
+    };
+    if (typeof e.data.r !== 'undefined') data.r = e.data.r;
+    return util.sendSocketEvent(socket, events.CLUSTER.ERROR, data);
+  }
+  if (e.event === events.CLUSTER.CHANNEL_MESSAGE && typeof e.data.r !== 'undefined') {
+    util.sendSocketEvent(socket, events.CLUSTER.MESSAGE_ACK, {
+      r: e.data.r,
+      o: false
+    });
+  }
+  return false;
+}
+
+/**
+ * Adds the token id to our local revocation list, disconnecting the publishers that used it.
+ * Returns false if the token is already revoked (until the same time or later) or the time is in the past.
+ * */
+function _revokeToken(id, until) {
+  if (typeof id !== 'string' || !id || typeof until !== 'number') return false;
+  let now = Date.now();
+  if (until <= now) return false;
+  if (typeof this[revokedTokens][id] === 'number' && this[revokedTokens][id] >= until) return false;
+  // We clean up the tokens that are no longer revoked.
+  let ids = Object.keys(this[revokedTokens]);
+  for (let i = 0, len = ids.length; i < len; i++) {
+    if (this[revokedTokens][ids[i]] <= now) delete this[revokedTokens][ids[i]];
+  }
+  this[revokedTokens][id] = until;
+  this.logger.debug(`[quty-cluster] revoked token: ${id}`);
+  if (this.ws && this.ws.clients) {
+    this.ws.clients.forEach((socket) => {
+      if (socket.tid !== id) return;
+      try {
+        socket.close();
+      } catch (e) {
+      }
+    });
+  }
+  this.emit('token.revoke', id, until);
+  return true;
+}
+
 /**
  * Marks the cluster as ready, flushing any pending events
  * */
 function _setClusterReady() {
-  if (this.ready || this[clusterReady]) return;
+  if (this.ready || this[clusterReady] || this[closing]) return;
   this[clusterReady] = true;
   this.ready = true;
+  _flushPendingEvents.call(this);
+  this.emit('ready');
+}
+
+/**
+ * Processes the events that came in before the cluster was ready.
+ * */
+function _flushPendingEvents() {
   let pending = this[clusterPendingEvents];
   this[clusterPendingEvents] = [];
   for (let i = 0, len = pending.length; i < len; i++) {
@@ -757,7 +1791,281 @@ function _setClusterReady() {
     if (!t.socket.isAlive) continue;
     this.emit('event', t.e, t.socket);
   }
-  this.emit('ready');
 }
 
+/**
+ * Registers the built-in discovery providers that are enabled in the discovery configuration:
+ *  - service - the IPs of a DNS hostname (eg: a Kubernetes service), using our own port
+ *  - srv - the hosts and ports of DNS SRV records (eg: _quty._tcp.quty.app.svc.cluster.local), in the order of their priority and weight.
+ *          Since nodes form a full mesh, we connect to all the records, priority and weight do not select a subset (see util.sortSrvRecords)
+ *  - nodes - the static list of "{ip}:{port}" nodes
+ *  - fetch - the array of nodes returned by an HTTP(s) endpoint
+ * */
+function _addDefaultDiscoveryProviders(discoveryConfig) {
+  if (typeof discoveryConfig !== 'object' || !discoveryConfig) return;
+  let opt = {
+    timeout: discoveryConfig.timeout
+  };
+  if (discoveryConfig.service) {
+    this.addDiscoveryProvider(QutyCluster.DISCOVERY.SERVICE, async () => {
+      let ips = await util.resolveHostname(discoveryConfig.service);
+      return ips.map((ip) => `${ip}:${this.config.port}`);
+    }, opt);
+  }
+  if (discoveryConfig.srv) {
+    this.addDiscoveryProvider(QutyCluster.DISCOVERY.SRV, async () => {
+      let records = await util.resolveSrv(discoveryConfig.srv),
+        items = [];
+      for (let i = 0, len = records.length; i < len; i++) {
+        let record = records[i],
+          ips;
+        // We connect to IPs, so that the node matches the incoming connections of the same node.
+        try {
+          ips = await util.resolveHostname(record.name);
+        } catch (e) {
+          ips = [];
+        }
+        if (ips.length === 0) ips = [record.name];
+        for (let j = 0, jlen = ips.length; j < jlen; j++) {
+          items.push(`${ips[j]}:${record.port}`);
+        }
+      }
+      return items;
+    }, opt);
+  }
+  if (discoveryConfig.nodes instanceof Array && discoveryConfig.nodes.length > 0) {
+    this.addDiscoveryProvider(QutyCluster.DISCOVERY.NODES, () => discoveryConfig.nodes, opt);
+  }
+  if (discoveryConfig.fetch) {
+    this.addDiscoveryProvider(QutyCluster.DISCOVERY.FETCH, () => util.fetch(discoveryConfig.fetch, {
+      method: 'GET',
+      data: {
+        id: this.id
+      }
+    }), opt);
+  }
+}
+
+/**
+ * Schedules the next call of a discovery provider, after its interval.
+ * Once called, the nodes of all the providers are merged and we connect to the new ones.
+ * */
+function _scheduleDiscoveryProvider(provider) {
+  clearTimeout(provider.timer);
+  provider.timer = null;
+  if (!this[discovery] || this[closing]) return;
+  provider.timer = setTimeout(async () => {
+    provider.timer = null;
+    if (this[discoveryProviders][provider.name] !== provider) return; // removed or replaced
+    if (!provider.running) {
+      await _runDiscoveryProvider.call(this, provider);
+      await _addDiscoveredNodes.call(this);
+    }
+    if (this[discoveryProviders][provider.name] === provider) _scheduleDiscoveryProvider.call(this, provider);
+  }, provider.interval);
+}
+
+/**
+ * Calls a discovery provider, keeping its nodes until its next call.
+ * */
+async function _runDiscoveryProvider(provider) {
+  provider.running = true;
+  try {
+    provider.nodes = await _callDiscoveryProvider.call(this, provider);
+  } finally {
+    provider.running = false;
+  }
+}
+
+/**
+ * Connects to the nodes of all the discovery providers that we are not connected to.
+ * Returns false if no nodes were discovered.
+ * */
+async function _addDiscoveredNodes() {
+  let results = [],
+    names = Object.keys(this[discoveryProviders]);
+  for (let i = 0, len = names.length; i < len; i++) {
+    results.push(this[discoveryProviders][names[i]].nodes);
+  }
+  let discoveredNodes = _mergeDiscoveredNodes(results, this.config.port);
+  if (discoveredNodes.length === 0) return false;
+  for (let i = 0, len = discoveredNodes.length; i < len; i++) {
+    let addr = discoveredNodes[i];
+    if (this[closing]) break;
+    try {
+      await this.addNode(addr);
+    } catch (e) {
+      this.logger.warn(`[quty-cluster]: could not add node: ${addr} [${e.message}]`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Calls a discovery provider, returning its array of nodes.
+ * Failures and timeouts are reported and return an empty array, so that they do not affect other providers.
+ * */
+async function _callDiscoveryProvider(provider) {
+  let timer;
+  provider.lastRun = Date.now();
+  try {
+    let res = await Promise.race([
+      Promise.resolve().then(() => provider.fn(this)),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${provider.timeout}ms`)), provider.timeout);
+      })
+    ]);
+    if (!(res instanceof Array)) throw new Error('Result is not an array');
+    provider.error = null;
+    return res;
+  } catch (e) {
+    provider.failures++;
+    provider.error = e.message;
+    this[clusterStats].discoveryFailures++;
+    this.logger.warn(`[quty-cluster] discovery provider ${provider.name} failed: ${e.message}`);
+    this.emit('discovery.error', provider.name, e);
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Merges the nodes returned by the discovery providers into a unique array of addresses.
+ * Nodes can be "{ip}:{port}", "{proto}://{ip}:{port}" or {ip, port, proto} items.
+ * */
+function _mergeDiscoveredNodes(results, defaultPort) {
+  let items = [],
+    nodeMap = {}; // for uniqueness
+  for (let i = 0, len = results.length; i < len; i++) {
+    let nodes = results[i];
+    for (let j = 0, jlen = nodes.length; j < jlen; j++) {
+      let item = nodes[j];
+      if (typeof item === 'object' && item && item.ip) {
+        item = `${item.proto ? item.proto + '://' : ''}${item.ip}:${item.port || defaultPort}`;
+      }
+      if (typeof item !== 'string' || !item || nodeMap[item]) continue;
+      nodeMap[item] = true;
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+/**
+ * Leaves the cluster, as the first step of closing the node (see QutyCluster.close)
+ * Announces the leave to the other nodes, waits for the queued events to be sent
+ * and destroys our connections to other nodes.
+ * */
+async function _leaveCluster(opt) {
+  let drainTimeout = (typeof opt.drainTimeout === 'number' && opt.drainTimeout >= 0) ? opt.drainTimeout : CLOSE_DRAIN_TIMEOUT;
+  this.ready = false;
+  this[discovery] = null;
+  let names = Object.keys(this[discoveryProviders]);
+  for (let i = 0, len = names.length; i < len; i++) {
+    let p = this[discoveryProviders][names[i]];
+    clearTimeout(p.timer);
+    p.timer = null;
+  }
+  // Events that came in before the cluster was ready are processed, so that they are sent before we leave.
+  this[clusterReady] = true;
+  _flushPendingEvents.call(this);
+  this.logger.info(`[quty-cluster] is leaving the cluster`);
+  // Any batched events are flushed before the leave event, since it is sent right away.
+  this.broadcast(events.CLUSTER.NODE_LEAVE, {
+    s: this.id,
+    t: drainTimeout
+  }, true);
+  let until = Date.now() + drainTimeout;
+  while (Date.now() < until && _hasPendingEvents.call(this)) {
+    await new Promise((resolve) => setTimeout(resolve, CLOSE_DRAIN_CHECK));
+  }
+  let clients = Object.keys(this[nodeClients]);
+  for (let i = 0, len = clients.length; i < len; i++) {
+    try {
+      this[nodeClients][clients[i]].destroy();
+    } catch (e) {
+    }
+  }
+  this[nodeClients] = {};
+}
+
+/**
+ * Checks if any of our node or publisher sockets still has events that were not sent.
+ * */
+function _hasPendingEvents() {
+  let sockets = [],
+    nodeIds = Object.keys(this[nodes]);
+  for (let i = 0, len = nodeIds.length; i < len; i++) {
+    sockets.push(this[nodes][nodeIds[i]]);
+  }
+  if (this.ws) {
+    this.ws.clients.forEach((socket) => sockets.push(socket));
+  }
+  for (let i = 0, len = sockets.length; i < len; i++) {
+    let socket = sockets[i];
+    if (socket.__batch && socket.__batch.items.length > 0) return true;
+    if (socket.bufferedAmount > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Handles a node that announced it is shutting down ({s, t: drainTimeout}). We remove its channels and presence right away,
+ * instead of waiting for its connection to time out, and destroy our connection to it.
+ * During its drain timeout, the node is not added again by the discovery or the state of other nodes.
+ * */
+function _handleNodeLeave(socket, data) {
+  let sid = socket.sid;
+  if (socket.leaving) return;
+  socket.leaving = true;
+  let until = Date.now() + ((data && typeof data.t === 'number' && data.t >= 0) ? data.t : CLOSE_DRAIN_TIMEOUT);
+  this[leftNodes][sid] = until;
+  let keys = Object.keys(this[nodeIps]);
+  for (let i = 0, len = keys.length; i < len; i++) {
+    if (this[nodeIps][keys[i]] === sid) this[leftNodes][keys[i]] = until;
+  }
+  this.logger.debug(`[quty-cluster] node is leaving: ${sid}`, {sid});
+  this.hub.removeNode(sid);
+  keys = Object.keys(this[nodeClients]);
+  for (let i = 0, len = keys.length; i < len; i++) {
+    let clientObj = this[nodeClients][keys[i]];
+    if (clientObj.sid !== sid) continue;
+    try {
+      clientObj.destroy();
+    } catch (e) {
+    }
+  }
+  this.emit('node.leave', sid);
+}
+
+/**
+ * Checks if the given node id or nodeIp+nodePort announced that it is leaving, within its drain timeout.
+ * */
+function _isNodeLeaving(key) {
+  let until = this[leftNodes][key];
+  if (!until) return false;
+  if (until > Date.now()) return true;
+  delete this[leftNodes][key];
+  return false;
+}
+
+QutyCluster.ACTION = {
+  SUBSCRIBE: 'subscribe',
+  PUBLISH: 'publish'
+};
+
+QutyCluster.DISCOVERY = {
+  SERVICE: 'service',
+  SRV: 'srv',
+  NODES: 'nodes',
+  FETCH: 'fetch'
+};
+
+QutyCluster.RATE_LIMIT = {
+  PUBLISHER: 'publisher',
+  CHANNEL: 'channel',
+  CLIENT: 'client'
+};
+
 module.exports = QutyCluster;
@@ -1,5 +1,539 @@
 'use strict';
+const Server = require('./Server'),
+  QutyCluster = require('./QutyCluster'),
+  url = require('url'),
+  qs = require('querystring'),
+  events = require('./events'),
+  token = require('./token'),
+  util = require('./util'),
+  metrics = require('./metrics'),
+  log = require('./logger');
+
+const CLIENT_ID_LENGTH = 16;
+const STREAM_PATH = '/stream';
+const cluster = Symbol('cluster'),
+  clients = Symbol('clients'),
+  logger = Symbol('logger');
 
 /**
+ * This is the public-facing Quty Hub server that browsers and other
+ * websocket clients connect to. It assigns each connected client an id
+ * and routes its join/leave/message events through the QutyCluster it is bound to.
+ *
+ * Events: (see: lib/Server.js events also)
+ *  - client.add(socket) -> fired when a client connected to the hub
+ *  - client.remove(socket) -> fired when a client disconnected from the hub
+ *  - client.join(channel, socket) -> fired when a client joined a channel
+ *  - client.leave(channel, socket) -> fired when a client left a channel
+ *
+ *  Client authorisation:
+ *    Clients may connect with a HUB-type token in the "token" querystring (see lib/token.js).
+ *    If the token carries channel grants, they are enforced on join (read) and publish (write).
+ *    If the hub has an auth secret configured, a valid token is required.
+ *    Joins and publishes are also checked by the cluster's channel authorisation (see QutyCluster.setChannelAuthorization)
+ *    Server-side calls (QutyHub.subscribeClient and the cluster's API) are trusted and are not checked by it.
  *
+ *  Client protocol (see lib/events.js HUB):
+ *    - "J|{c,q}" -> join channel c. If q is set, replay the channel's history that came after sequence q
+ *    - "L|{c}" -> leave channel c
+ *    - "M|{c,m}" -> send message m to channel c (the client must be subscribed to it)
+ *  The hub delivers channel messages to clients as "M|{c,m,q}", where q is the message's sequence number (when history is enabled)
+ *  and direct messages (see QutyCluster.sendToClient) as "D|{m}"
+ *  Sequence numbers are assigned by each node, so clients that reconnect to a different node cannot replay from q:
+ *  they should join without q (replaying the whole history) and skip the messages they already processed.
+ *  Events that carry binary payloads (Buffers, TypedArrays) use binary frames in both directions (see util.sendSocketEvent)
+ *
+ *  Server-Sent Events:
+ *    Clients that cannot use websockets can connect to "GET {path}/stream?channels=a,b&token=..&q=.."
+ *    and receive the same events (eg: "M|{c,m,q}") as the "data" of a text/event-stream. The stream is
+ *    receive-only, the client being subscribed to the channels specified in the querystring.
+ *    Binary payloads cannot be sent over text streams, so they are replaced by {"_qb64": "{base64}"}
+ *    Browsers can only read the stream from the origins allowed by config.streamOrigin
+ * */
+class QutyHub extends Server {
+
+  /**
+   * Initialize the hub using the following configuration:
+   * @Arguments
+   *  - config.port - the port to listen to for client connections
+   *  - config.path - the websocket path to listen to
+   *  - config.auth - the secret, keyring or asymmetric {publicKey} used to verify client tokens (see lib/token.js). Defaults to the cluster's auth secret.
+   *  - config.stream=true - if set to false, do not register the Server-Sent Events endpoint.
+   *  - config.streamOrigin - the origin (or array of origins) allowed to read the Server-Sent Events from browsers (CORS).
+   *    A string is sent as is (eg: "*"), an array only allows the request's origin if it is in the array. Not set by default.
+   *    (see lib/Server.js for additional configuration)
+   *  - clusterObj - the QutyCluster instance used to route client events
+   * */
+  constructor(config, clusterObj) {
+    if (typeof config !== 'object' || !config) config = {};
+    if (!(clusterObj instanceof QutyCluster)) throw new Error('Quty hub: requires a QutyCluster instance');
+    if (typeof config.auth === 'undefined') config.auth = clusterObj.config.auth;
+    super(config);
+    this.name = 'quty-hub';
+    this[cluster] = clusterObj;
+    this[clients] = {}; // a map of {clientId:socketObj}
+    this.setAuthorization(this.authorizeClient.bind(this));
+    _bindServer.call(this);
+    _bindCluster.call(this);
+    clusterObj.addMetricsCollector(_getMetrics.bind(this));
+    if (config.stream !== false) {
+      let streamPath = (config.path === '/' ? '' : config.path.replace(/\/$/, '')) + STREAM_PATH;
+      this.$get(streamPath, _handleStreamRequest.bind(this));
+    }
+  }
+
+  get cluster() {
+    return this[cluster];
+  }
+
+  /* The hub logs with the id of the cluster node it is bound to. */
+  get logger() {
+    if (!this[logger]) {
+      this[logger] = log.child({
+        component: this.name,
+        node: this[cluster].id
+      });
+    }
+    return this[logger];
+  }
+
+  /**
+   * Returns the socket of a connected client, given its id
+   * @Arguments
+   *  - cid - the client id
+   * */
+  getClient(cid) {
+    return this[clients][cid] || null;
+  }
+
+  /**
+   * Returns an array with all the connected client ids
+   * */
+  get clients() {
+    return Object.keys(this[clients]);
+  }
+
+  /**
+   * Handles hub client authorisation on connection.
+   * Clients that provide a HUB token will have its data and channel grants attached to their socket.
+   * */
+  authorizeClient(request, socket) {
+    let rurl = url.parse(request.url),
+      data = rurl.query ? qs.parse(rurl.query) : {};
+    if (!data.token) return !this.config.auth;
+    let tokenData = token.verify(data.token, {
+      secret: this.config.auth,
+      type: token.TYPE.HUB
+    });
+    if (!tokenData || this[cluster].isTokenRevoked(tokenData._j)) return false;
+    // We place our data in socket.quty, so that we can transfer it to the websocket socket, from the http socket.
+    socket.quty = {
+      tid: tokenData._j
+    };
+    delete tokenData._j;
+    if (typeof tokenData._g === 'object' && tokenData._g) {
+      socket.quty.grants = tokenData._g;
+    }
+    delete tokenData._g;
+    socket.quty.data = tokenData;
+    return true;
+  }
+
+  /**
+   * Checks if the specified client has the given right on a channel.
+   * Clients without channel grants are not restricted.
+   * @Arguments
+   *  - cid - the client id
+   *  - channel - the target channel
+   *  - right - the right to check (see token.GRANT)
+   * */
+  isClientGranted(cid, channel, right) {
+    let socket = this.getClient(cid);
+    if (!socket) return false;
+    if (!socket.grants) return true;
+    return token.isGranted(socket.grants, channel, right);
+  }
+
+  /**
+   * Subscribes the specified client to the specified channel, through the cluster.
+   * @Arguments
+   *  - cid - the client id
+   *  - channel - the target channel
+   *  Note:
+   *  the client's token grants are enforced, but this is a trusted call that does not use
+   *  the cluster's channel authorisation function (see QutyCluster.setChannelAuthorization)
+   * */
+  subscribeClient(cid, channel) {
+    let socket = this.getClient(cid);
+    if (!socket) return false;
+    if (!this.isClientGranted(cid, channel, token.GRANT.READ)) return false;
+    if (!this[cluster].subscribeClient(cid, channel)) return false;
+    this.emit('client.join', channel, socket);
+    return true;
+  }
+
+  /**
+   * Unsubscribes the specified client from the specified channel, through the cluster.
+   * @Arguments
+   *  - cid - the client id
+   *  - channel - the target channel
+   * */
+  unsubscribeClient(cid, channel) {
+    let socket = this.getClient(cid);
+    if (!socket) return false;
+    if (!this[cluster].unsubscribeClient(cid, channel)) return false;
+    this.emit('client.leave', channel, socket);
+    return true;
+  }
+
+  /**
+   * Sends a message from the specified client to a channel. The client
+   * must be subscribed to the channel and have write access in order to publish to it.
+   * @Arguments
+   *  - cid - the client id
+   *  - channel - the target channel
+   *  - message - the message to send
+   * */
+  sendMessage(cid, channel, message) {
+    if (!this[cluster].isClientSubscribed(cid, channel)) return false;
+    if (!this.isClientGranted(cid, channel, token.GRANT.WRITE)) return false;
+    return this[cluster].sendMessage(channel, message);
+  }
+
+}
+
+/**
+ * Binds the hub to its own server events, handling client connections
+ * and incoming client events.
+ * */
+function _bindServer() {
+  /**
+   * Handle a new client connection
+   * */
+  this.on('client', (socket) => {
+    if (!socket.cid) socket.cid = util.randomString(CLIENT_ID_LENGTH);
+    if (this[clients][socket.cid]) {
+      this.logger.trace(`[quty-hub] client ${socket.cid} is already connected`, {cid: socket.cid});
+      try {
+        socket.close();
+      } catch (e) {
+      }
+      return;
+    }
+    this[clients][socket.cid] = socket;
+    this[cluster].registerClient(socket.cid);
+    this.sendEvent(socket, events.HUB.CLIENT_INFO, {
+      cid: socket.cid
+    });
+    this.logger.trace(`[quty-hub] client [${socket.cid}] connected from: ${socket.remoteAddress}`, {cid: socket.cid});
+    this.emit('client.add', socket);
+  });
+
+  /**
+   * Handle the client disconnect
+   * */
+  this.on('disconnect', (socket) => {
+    if (!socket.cid || this[clients][socket.cid] !== socket) return;
+    delete this[clients][socket.cid];
+    this[cluster].unsubscribeClient(socket.cid);
+    this[cluster].unregisterClient(socket.cid);
+    this.logger.trace(`[quty-hub] client [${socket.cid}] disconnected from: ${socket.remoteAddress}`, {cid: socket.cid});
+    this.emit('client.remove', socket);
+  });
+
+  /**
+   * Handle an incoming event from a client
+   * */
+  this.on('event', (e, socket) => {
+    if (!socket.cid || !this[clients][socket.cid]) return;
+    // Client events are processed in order, since channel authorisation may be asynchronous.
+    socket.__events = (socket.__events || Promise.resolve()).then(() => {
+      return _handleClientEvent.call(this, e, socket);
+    }).catch((err) => {
+      this.logger.warn(`[quty-hub] failed to process event ${e.event} of client [${socket.cid}]: ${err.message}`, {cid: socket.cid});
+    });
+  });
+}
+
+/**
+ * Handles an incoming event from a connected client.
+ * */
+async function _handleClientEvent(e, socket) {
+  let cid = socket.cid;
+  let channel = e.data.c;
+  if (typeof channel === 'number') channel = channel.toString();
+  if (typeof channel !== 'string' || !channel) return;
+  /* Handle when a client wants to join a channel */
+  if (e.event === events.HUB.CHANNEL_JOIN) {
+    if (!this.isClientGranted(cid, channel, token.GRANT.READ)) {
+      return _sendError.call(this, socket, e, 'Not allowed to join channel');
+    }
+    let auth = await this[cluster].authorizeChannel(cid, channel, {
+      action: QutyCluster.ACTION.SUBSCRIBE,
+      client: socket.data
+    });
+    if (!auth.allowed) return _sendError.call(this, socket, e, auth.reason);
+    if (this[clients][cid] !== socket) return; // disconnected in the meantime.
+    if (!this.subscribeClient(cid, channel)) {
+      return _sendError.call(this, socket, e, 'Could not join channel');
+    }
+    this.sendEvent(socket, events.HUB.CHANNEL_JOIN, {
+      c: channel
+    });
+    if (typeof e.data.q === 'number') {
+      let items = this[cluster].getHistory(channel, e.data.q);
+      for (let i = 0, len = items.length; i < len; i++) {
+        this.sendEvent(socket, events.HUB.CHANNEL_MESSAGE, {
+          c: channel,
+          m: items[i].m,
+          q: items[i].q
+        });
+      }
+    }
+    return;
+  }
+  /* Handle when a client wants to leave a channel */
+  if (e.event === events.HUB.CHANNEL_LEAVE) {
+    this.unsubscribeClient(cid, channel);
+    return this.sendEvent(socket, events.HUB.CHANNEL_LEAVE, {
+      c: channel
+    });
+  }
+  /* Handle when a client publishes a message to a channel */
+  if (e.event === events.HUB.CHANNEL_MESSAGE) {
+    if (typeof e.data.m === 'undefined') return;
+    if (!this[cluster].isClientSubscribed(cid, channel)) {
+      return _sendError.call(this, socket, e, 'Not subscribed to channel');
+    }
+    if (!this.isClientGranted(cid, channel, token.GRANT.WRITE)) {
+      return _sendError.call(this, socket, e, 'Not allowed to publish to channel');
+    }
+    let auth = await this[cluster].authorizeChannel(cid, channel, {
+      action: QutyCluster.ACTION.PUBLISH,
+      message: e.data.m,
+      client: socket.data
+    });
+    if (!auth.allowed) return _sendError.call(this, socket, e, auth.reason);
+    if (this[cluster].checkRateLimit({cid, channel})) {
+      let rateLimit = this[cluster].config.rateLimit;
+      if (rateLimit.reject !== true) return false;
+      return _sendError.call(this, socket, e, 'Rate limit exceeded', events.ERROR.RATE_LIMITED);
+    }
+    return this.sendMessage(cid, channel, e.data.m);
+  }
+}
+
+/**
+ * Handles an incoming Server-Sent Events request.
+ * The request is authorised just like a websocket connection and then registered
+ * as a virtual client that is subscribed to the requested channels.
+ * */
+function _handleStreamRequest(req, res) {
+  let channels = (typeof req.query.channels === 'string' ? req.query.channels.split(',') : []),
+    afterSeq = parseInt(req.query.q, 10),
+    auth = {};
+  this._authoriseClient(req, auth, async (ok) => {
+    if (!ok) {
+      this.emit('failed', req, req.socket);
+      res.statusCode = 401;
+      res.setHeader('Content-Type', 'text/plain');
+      return res.end('Unauthorized');
+    }
+    let socket = _createStreamSocket.call(this, req, res, auth.quty);
+    res.writeHead(200, _getStreamHeaders.call(this, req));
+    this.emit('client', socket);
+    if (this[clients][socket.cid] !== socket) return;
+    for (let i = 0, len = channels.length; i < len; i++) {
+      let channel = channels[i].trim();
+      if (!channel) continue;
+      let data = {
+        c: channel
+      };
+      if (!isNaN(afterSeq)) data.q = afterSeq;
+      try {
+        await _handleClientEvent.call(this, {
+          event: events.HUB.CHANNEL_JOIN,
+          data
+        }, socket);
+      } catch (e) {
+        this.logger.warn(`[quty-hub] failed to subscribe stream client [${socket.cid}] to ${channel}: ${e.message}`, {cid: socket.cid});
+      }
+    }
+  });
+}
+
+/**
+ * Returns the headers of a Server-Sent Events response, allowing the request's origin
+ * if it is configured in config.streamOrigin
+ * */
+function _getStreamHeaders(req) {
+  let headers = {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    },
+    origin = this.config.streamOrigin;
+  if (typeof origin === 'string' && origin) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  } else if (origin instanceof Array) {
+    let reqOrigin = req.headers.origin;
+    if (typeof reqOrigin === 'string' && origin.indexOf(reqOrigin) !== -1) {
+      headers['Access-Control-Allow-Origin'] = reqOrigin;
+    }
+    headers['Vary'] = 'Origin';
+  }
+  return headers;
+}
+
+/**
+ * Creates a virtual client socket over a Server-Sent Events response,
+ * so that it can be handled just like a websocket client.
  * */
+function _createStreamSocket(req, res, data) {
+  let isClosed = false,
+    self = this;
+  let ip = req.connection.remoteAddress || '';
+  if (ip.indexOf(':') !== -1) {
+    ip = ip.split(':').pop();
+  }
+  let socket = {
+    stream: true,
+    binary: false, // binary payloads are sent as {"_qb64": base64}
+    remoteAddress: ip,
+    __stats: this.stats,
+    send(payload, fn) {
+      if (isClosed) throw new Error('Quty hub: stream is closed');
+      res.write(`data: ${payload}\n\n`, fn);
+    },
+    close() {
+      if (isClosed) return;
+      isClosed = true;
+      clearInterval(heartbeat);
+      try {
+        res.end();
+      } catch (e) {
+      }
+      self.emit('disconnect', socket);
+    }
+  };
+  let dataKeys = Object.keys(data || {});
+  for (let i = 0, len = dataKeys.length; i < len; i++) {
+    socket[dataKeys[i]] = data[dataKeys[i]];
+  }
+  // We periodically send a comment, so that proxies do not close idle streams.
+  let heartbeat = setInterval(() => {
+    try {
+      res.write(':\n\n');
+    } catch (e) {
+    }
+  }, util.HEARTBEAT_TIMER);
+  req.once('close', () => socket.close());
+  res.once('close', () => socket.close());
+  return socket;
+}
+
+/**
+ * Starts listening to cluster events, so that we can deliver
+ * channel messages and kicks to our connected clients.
+ * */
+function _bindCluster() {
+  this[cluster].on('message', (channel, cid, message, seq) => {
+    let socket = this[clients][cid];
+    if (!socket) return;
+    let data = {
+      c: channel,
+      m: message
+    };
+    if (seq) data.q = seq;
+    this.sendEvent(socket, events.HUB.CHANNEL_MESSAGE, data);
+  });
+  this[cluster].on('direct', (cid, message) => {
+    let socket = this[clients][cid];
+    if (!socket) return;
+    this.sendEvent(socket, events.HUB.CLIENT_MESSAGE, {
+      m: message
+    });
+  });
+  this[cluster].hub.on('client.remove', (cid) => {
+    let socket = this[clients][cid];
+    if (!socket) return;
+    this.logger.trace(`[quty-hub] kicking client [${cid}]`, {cid});
+    try {
+      socket.close();
+    } catch (e) {
+    }
+  });
+  this[cluster].on('token.revoke', (id) => {
+    let cids = Object.keys(this[clients]);
+    for (let i = 0, len = cids.length; i < len; i++) {
+      let socket = this[clients][cids[i]];
+      if (socket.tid !== id) continue;
+      this.logger.trace(`[quty-hub] disconnecting client [${cids[i]}] with revoked token`, {cid: cids[i]});
+      try {
+        socket.close();
+      } catch (e) {
+      }
+    }
+  });
+}
+
+/**
+ * Sends an error event back to the client, for the given incoming event.
+ * */
+function _sendError(socket, e, message, code) {
+  let data = {
+    e: e.event,
+    m: message
+  };
+  if (typeof e.data.c === 'string') data.c = e.data.c;
+  if (code) data.x = code;
+  return this.sendEvent(socket, events.HUB.ERROR, data);
+}
+
+/**
+ * Returns the hub metrics, exposed by the cluster's GET /metrics
+ * */
+function _getMetrics() {
+  let streams = 0,
+    cids = Object.keys(this[clients]);
+  for (let i = 0, len = cids.length; i < len; i++) {
+    if (this[clients][cids[i]].stream) streams++;
+  }
+  return [{
+    name: 'quty_hub_clients_connected',
+    help: 'The number of clients connected to the hub, per transport',
+    values: [{
+      labels: {
+        transport: 'websocket'
+      },
+      value: cids.length - streams
+    }, {
+      labels: {
+        transport: 'stream'
+      },
+      value: streams
+    }]
+  }, {
+    name: 'quty_hub_events_received_total',
+    help: 'The number of events received from hub clients, per event type',
+    type: metrics.TYPE.COUNTER,
+    values: metrics.eventValues(events.HUB, this.stats.eventsIn)
+  }, {
+    name: 'quty_hub_events_sent_total',
+    help: 'The number of events sent to hub clients, per event type',
+    type: metrics.TYPE.COUNTER,
+    values: metrics.eventValues(events.HUB, this.stats.eventsOut)
+  }, {
+    name: 'quty_hub_bytes_received_total',
+    help: 'The number of bytes received from hub clients',
+    type: metrics.TYPE.COUNTER,
+    value: this.stats.bytesIn
+  }, {
+    name: 'quty_hub_bytes_sent_total',
+    help: 'The number of bytes sent to hub clients',
+    type: metrics.TYPE.COUNTER,
+    value: this.stats.bytesOut
+  }];
+}
+
+module.exports = QutyHub;
@@ -0,0 +1,98 @@
+'use strict';
+const SWEEP_TIMER = 60000; // we clean up idle buckets at most once every minute
+
+/**
+ * The RateLimiter implements a token-bucket limiter, with one bucket per key
+ * (eg: a publisher id, a channel or a client id).
+ * Each bucket holds up to {burst} tokens and is refilled with {rate} tokens every second.
+ * Every action consumes a token, and actions are throttled while the bucket is empty.
+ * Throttled actions are counted, per key and in total.
+ * */
+const config = Symbol('config'),
+  buckets = Symbol('buckets'),
+  lastSweep = Symbol('lastSweep');
+
+class RateLimiter {
+
+  /**
+   * Initialize the rate limiter using the following configuration:
+   * @Arguments
+   *  - config.rate - the number of actions per second allowed for each key
+   *  - config.burst - the maximum number of actions allowed at once. Defaults to the rate.
+   * */
+  constructor(_config = {}) {
+    if (typeof _config !== 'object' || !_config) throw new Error('Quty rate limiter: configuration must be an object');
+    if (typeof _config.rate !== 'number' || _config.rate <= 0) throw new Error('Quty rate limiter: configuration requires a positive rate');
+    if (typeof _config.burst !== 'number' || _config.burst < 1) _config.burst = Math.max(_config.rate, 1);
+    this[config] = _config;
+    this[buckets] = {}; // a map of {key:{t: tokens, l: lastRefill, d: throttledCount}}
+    this[lastSweep] = Date.now();
+    this.throttled = 0;
+  }
+
+  get config() {
+    return this[config];
+  }
+
+  /**
+   * Consumes a token from the bucket of the given key.
+   * Returns true if the action is allowed, or false if it is throttled.
+   * @Arguments
+   *  - key - the key to limit by
+   * */
+  consume(key) {
+    let now = Date.now(),
+      opt = this[config],
+      bucket = this[buckets][key];
+    if (now - this[lastSweep] > SWEEP_TIMER) _sweep.call(this, now);
+    if (!bucket) {
+      bucket = this[buckets][key] = {
+        t: opt.burst,
+        l: now,
+        d: 0
+      };
+    } else {
+      bucket.t = Math.min(opt.burst, bucket.t + (now - bucket.l) / 1000 * opt.rate);
+      bucket.l = now;
+    }
+    if (bucket.t >= 1) {
+      bucket.t--;
+      return true;
+    }
+    bucket.d++;
+    this.throttled++;
+    return false;
+  }
+
+  /**
+   * Returns a map of {key:throttledCount} with the keys that were throttled.
+   * Note: the counts of idle keys are removed once their buckets are cleaned up.
+   * */
+  getThrottled() {
+    let res = {},
+      keys = Object.keys(this[buckets]);
+    for (let i = 0, len = keys.length; i < len; i++) {
+      let bucket = this[buckets][keys[i]];
+      if (bucket.d === 0) continue;
+      res[keys[i]] = bucket.d;
+    }
+    return res;
+  }
+
+}
+
+/**
+ * Removes the buckets that were refilled completely, since they are no different from new ones.
+ * */
+function _sweep(now) {
+  this[lastSweep] = now;
+  let opt = this[config],
+    keys = Object.keys(this[buckets]);
+  for (let i = 0, len = keys.length; i < len; i++) {
+    let bucket = this[buckets][keys[i]];
+    if (bucket.t + (now - bucket.l) / 1000 * opt.rate < opt.burst) continue;
+    delete this[buckets][keys[i]];
+  }
+}
+
+module.exports = RateLimiter;
@@ -4,7 +4,10 @@ const EventEmitter = require('events').EventEmitter,
   qs = require('querystring'),
   url = require('url'),
   Http = require('http'),
+  Https = require('https'),
   util = require('./util'),
+  events = require('./events'),
+  metrics = require('./metrics'),
   token = require('./token'),
   log = require('./logger');
 
@@ -17,13 +20,20 @@ const EventEmitter = require('events').EventEmitter,
  *  - failed -> when a client failed the authorisation check.
  *  - client -> when a client is connected and passed the authorisation step.
  *  - disconnect -> when a client has disconnected
+ *  - close -> when the server was closed (see Server.close)
+ *  - protocol.error(socket, code, {event, r}) -> when a client sent a malformed or too large event (see events.ERROR)
  * */
 const http = Symbol('http'),
   config = Symbol('config'),
   authFn = Symbol('auth'),
   httpPaths = Symbol('httpPaths'),
   httpErrorFn = Symbol('httpErrorFn'),
+  logger = Symbol('logger'),
+  ownHttp = Symbol('ownHttp'),
+  closePromise = Symbol('closePromise'),
   ws = Symbol('ws');
+const MAX_HTTP_BODY = 1024 * 1024; // The maximum size of a JSON request body
+const CLOSE_TIMEOUT = 1000; // The number of ms we wait for sockets to close gracefully, before terminating them.
 
 class Server extends EventEmitter {
 
@@ -36,6 +46,14 @@ class Server extends EventEmitter {
    *    OR
    *  config.port - the port to listen to, after creating the HTTP server.
    *  config.path - the path to listen to, after creating the HTTP server.
+   *  config.tls - the TLS configuration {cert, key, ca, verifyClient} to use when creating the server (see util.getTlsOptions)
+   *               When set, we create a HTTPS server and clients connect with wss://
+   *               Setting verifyClient=true enables mutual TLS, only accepting clients with a certificate signed by ca.
+   *  config.maxFrameSize - the maximum size in bytes of a websocket message. Larger messages close the connection (code 1009).
+   *  config.maxMessageSize - the maximum size in bytes of an event. Larger events are not processed and
+   *                          the client receives an ERROR event (events.ERROR.PAYLOAD_TOO_LARGE) instead.
+   *  Note: malformed events receive an ERROR event (events.ERROR.MALFORMED_EVENT). Both errors contain the offending event and request id (r), when they can be found.
+   *        Cluster nodes do not receive ERROR events and are not subject to maxMessageSize, since they batch events.
    * */
   constructor(_config = {}) {
     super();
@@ -56,15 +74,28 @@ class Server extends EventEmitter {
     }
     this[ws] = null;
     this[authFn] = null;
+    if (_config.tls) _config.tls = util.readTlsConfig(_config.tls);
     this[httpPaths] = {}; // a map of http httpPaths as: ${METHOD}:${PATH}
     this[httpErrorFn] = _handleRequestError;
     this[config] = _config;
+    this.stats = metrics.createStats(); // the events and bytes sent/received by our sockets
   }
 
   get config() {
     return this[config];
   }
 
+  /* Returns the logger of the server, that includes the server name and id in all its entries. */
+  get logger() {
+    if (!this[logger] || this[logger].context.component !== this.name) {
+      this[logger] = log.child({
+        component: this.name,
+        node: this.id
+      });
+    }
+    return this[logger];
+  }
+
   get ws() {
     return this[ws];
   }
@@ -165,6 +196,55 @@ class Server extends EventEmitter {
     res.end(JSON.stringify(obj));
   }
 
+  /**
+   * Helper function, to send an error back to a HTTP client response.
+   * The error's status is used as the status code (defaults to 400)
+   * */
+  _sendHttpError(req, res, err) {
+    return this[httpErrorFn](req, res, err);
+  }
+
+  /**
+   * Helper function, reads the JSON body of a HTTP request.
+   * Returns a promise that resolves with the parsed object, or rejects with
+   * an error containing the HTTP status to reply with.
+   * */
+  _readHttpJson(req) {
+    return new Promise((resolve, reject) => {
+      let body = '',
+        isDone = false;
+      req.setEncoding('utf8');
+      req.on('data', (d) => {
+        if (isDone) return;
+        body += d;
+        if (body.length > MAX_HTTP_BODY) {
+          isDone = true;
+          let err = new Error('Payload Too Large');
+          err.status = 413;
+          reject(err);
+        }
+      });
+      req.on('error', (e) => {
+        if (isDone) return;
+        isDone = true;
+        reject(e);
+      });
+      req.on('end', () => {
+        if (isDone) return;
+        isDone = true;
+        try {
+          let data = JSON.parse(body);
+          if (typeof data !== 'object' || !data) throw 1;
+          resolve(data);
+        } catch (e) {
+          let err = new Error('Invalid JSON body');
+          err.status = 400;
+          reject(err);
+        }
+      });
+    });
+  }
+
   /**
    * Starts listening to the HTTP Server.
    * If the server is not passed, we create a simple HTTP Server to use.
@@ -178,28 +258,30 @@ class Server extends EventEmitter {
       hasCustomEngine = false;
     }
     if (hasCustomEngine) {
-      log.info(`[${this.name}] listening`);
+      this.logger.info(`[${this.name}] listening`);
       this.emit('listen');
       return true;
     }
     if (!this[http]) {
       isNew = true;
-      this[http] = Http.createServer();
+      let tlsOpt = util.getTlsOptions(this[config].tls, true);
+      this[http] = tlsOpt ? Https.createServer(tlsOpt) : Http.createServer();
     }
+    this[ownHttp] = isNew;
     this[http].on('upgrade', _handleUpgrade.bind(this, isNew));
     this[http].on('request', _handleRequest.bind(this));
     if (!isNew) {
-      log.info(`[${this.name}] listening`);
+      this.logger.info(`[${this.name}] listening`);
       this.emit('listen');
       return true;
     }
     return new Promise((resolve, reject) => {
       this[http].listen(this[config].port, (err) => {
         if (err) {
-          log.error(`[${this.name}] cannot listen on port: ${this[config].port} [${this.id}]`);
+          this.logger.error(`[${this.name}] cannot listen on port: ${this[config].port} [${this.id}]`);
           return reject(err);
         }
-        log.info(`[${this.name}] listening on port: ${this[config].port} [${this.id}]`);
+        this.logger.info(`[${this.name}] listening on port: ${this[config].port}${this[config].tls ? ' (tls)' : ''} [${this.id}]`);
         resolve();
         this.emit('listen');
       });
@@ -217,6 +299,20 @@ class Server extends EventEmitter {
     return util.sendSocketEvent(socket, event, data);
   }
 
+  /**
+   * Closes the server. New connections are rejected, the websocket clients are closed
+   * and the HTTP server is stopped, unless it was provided in the configuration.
+   * Resolves once the server is closed.
+   * @Arguments
+   *  - opt.timeout - the number of milliseconds to wait for clients to close gracefully, before terminating them.
+   * */
+  close(opt = {}) {
+    if (!this[closePromise]) {
+      this[closePromise] = _close.call(this, opt || {});
+    }
+    return this[closePromise];
+  }
+
 }
 
 /**
@@ -240,7 +336,7 @@ function _handleRequest(req, res) {
     try {
       req.query = qs.parse(reqUrl.query);
     } catch (e) {
-      log.trace(`Quty server: failed to parse querystring: ${reqUrl.query}`);
+      this.logger.trace(`Quty server: failed to parse querystring: ${reqUrl.query}`);
       req.query = {};
     }
   } else {
@@ -249,8 +345,8 @@ function _handleRequest(req, res) {
   try {
     let r = reqFn(req, res);
     if (typeof r === 'object' && r && r.then && r.catch) {
-      r.catch(function (e) {
-        log.warn(`Quty server: failed to process ${fullPath}`, e);
+      r.catch((e) => {
+        this.logger.warn(`Quty server: failed to process ${fullPath}`, e);
         let err = new Error(`Internal Server Error`);
         err.status = 500;
         err.error = e;
@@ -258,7 +354,7 @@ function _handleRequest(req, res) {
       });
     }
   } catch (e) {
-    log.warn(`Quty server: failed to process ${fullPath}`, e);
+    this.logger.warn(`Quty server: failed to process ${fullPath}`, e);
     let err = new Error(`Internal Server Error`);
     err.status = 500;
     err.error = e;
@@ -290,17 +386,21 @@ function _handleRequestError(req, res, err) {
  * Handles an incoming HTTP Upgrade event
  * */
 function _handleUpgrade(isNew, req, socket, head) {
+  if (this[closePromise]) {
+    socket.destroy();
+    return;
+  }
   const pathname = url.parse(req.url).pathname;
   if (pathname !== this[config].path) {
     if (isNew) socket.destroy();
-    log.trace(`[${this.name}] socket connected on wrong path: ${pathname}`);
+    this.logger.trace(`[${this.name}] socket connected on wrong path: ${pathname}`);
     return;
   }
   this._authoriseClient(req, socket, (ok) => {
     if (!ok) {
       this.emit('failed', req, socket);
       req.destroy();
-      log.trace(`[${this.name}] socket failed authorisation`);
+      this.logger.trace(`[${this.name}] socket failed authorisation`);
       return;
     }
     this[ws].handleUpgrade(req, socket, head, (wsc) => {
@@ -320,13 +420,76 @@ function _handleUpgrade(isNew, req, socket, head) {
   });
 }
 
+/**
+ * Closes all the websocket clients and the servers we created.
+ * */
+async function _close(opt) {
+  let timeout = (typeof opt.timeout === 'number' && opt.timeout >= 0) ? opt.timeout : CLOSE_TIMEOUT,
+    wss = this[ws];
+  if (wss) {
+    let sockets = [];
+    wss.clients.forEach((socket) => sockets.push(socket));
+    await Promise.all(sockets.map((socket) => _closeSocket(socket, timeout)));
+    try {
+      wss.close();
+    } catch (e) {
+    }
+  }
+  if (this[http] && this[ownHttp]) {
+    await new Promise((resolve) => {
+      this[http].close(() => resolve());
+      // Keep-alive and streaming (eg: Server-Sent Events) connections would otherwise keep the server open.
+      if (typeof this[http].closeAllConnections === 'function') this[http].closeAllConnections();
+    });
+  }
+  this.logger.info(`[${this.name}] closed`);
+  this.emit('close');
+}
+
+/**
+ * Gracefully closes a websocket, terminating it if it does not close within the timeout.
+ * Any queued events are sent before closing.
+ * */
+function _closeSocket(socket, timeout) {
+  return new Promise((resolve) => {
+    clearInterval(socket.__heartbeat);
+    if (socket.readyState === Ws.CLOSED) return resolve();
+    let timer = setTimeout(() => {
+      try {
+        socket.terminate();
+      } catch (e) {
+      }
+      resolve();
+    }, timeout);
+    socket.once('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    try {
+      if (socket.__batch) util.flushSocketEvents(socket);
+      socket.close(1001, 'Server closing');
+    } catch (e) {
+      clearTimeout(timer);
+      try {
+        socket.terminate();
+      } catch (e) {
+      }
+      resolve();
+    }
+  });
+}
+
 /**
  * Creates the Websocket server and starts listening on connections.
  * */
 function _createWebsocketServer() {
-  let server = new Ws.Server({
+  let opt = {
     noServer: true
-  });
+  };
+  if (typeof this[config].maxFrameSize === 'number' && this[config].maxFrameSize > 0) {
+    opt.maxPayload = this[config].maxFrameSize;
+  }
+  let server = new Ws.Server(opt);
   // Handle an incoming connection.
   server.on('connection', _handleWsConnection.bind(this));
   server.once('close', () => {
@@ -341,9 +504,10 @@ function _createWebsocketServer() {
  * Handles an incoming websocket connection.
  * */
 function _handleWsConnection(socket) {
+  socket.__stats = this.stats;
   this.emit('client', socket);
-  // Handle heartbeat on our own internal connections
-  if (socket.sid || socket.pid) {
+  // Handle heartbeat on our own internal connections and hub clients
+  if (socket.sid || socket.pid || socket.cid) {
     if (socket.__heartbeat) clearInterval(socket.__heartbeat);
     socket.isAlive = true;
     socket.__heartbeat = setInterval(() => {
@@ -370,6 +534,7 @@ function _handleWsConnection(socket) {
 
   function cleanup() {
     clearInterval(socket.__heartbeat);
+    util.discardSocketEvents(socket);
     socket.isAlive = false;
     try {
       socket.close();
@@ -387,19 +552,49 @@ function _handleWsConnection(socket) {
     this.emit('disconnect', socket);
   });
   socket.on('error', (e) => {
-    log.trace(`[${this.name}]: socket encountered error: ${e.message}`);
+    this.logger.trace(`[${this.name}]: socket encountered error: ${e.message}`);
     cleanup();
     this.emit('disconnect', socket);
   });
   socket.on('message', (data) => {
     socket.isAlive = true;
+    this.stats.bytesIn += util.getPayloadSize(data);
+    let maxSize = this[config].maxMessageSize;
+    if (maxSize && !socket.sid && util.getPayloadSize(data) > maxSize) {
+      return _sendProtocolError.call(this, socket, data, events.ERROR.PAYLOAD_TOO_LARGE, 'Message too large');
+    }
     let p = util.parseSocketEvent(data);
-    if (!p) return;
-    if (this.listenerCount(p.event) > 0) {
-      this.emit(p.event, p.data);
+    if (!p) return _sendProtocolError.call(this, socket, data, events.ERROR.MALFORMED_EVENT, 'Malformed event');
+    // Only cluster nodes are allowed to send batch frames.
+    let items = socket.sid ? util.unpackSocketEvents(p) : [p];
+    for (let i = 0, len = items.length; i < len; i++) {
+      let item = items[i];
+      util.countSocketEvent(this.stats.eventsIn, item.event);
+      if (this.listenerCount(item.event) > 0) {
+        this.emit(item.event, item.data);
+      }
+      this.emit('event', item, socket);
     }
-    this.emit('event', p, socket);
   });
 }
 
+/**
+ * Replies to a malformed or too large event with an ERROR event, containing
+ * the error code and the offending event and request id (when they can be found, see util.peekSocketEvent).
+ * Note: both the cluster and the hub use "E" as their ERROR event.
+ * */
+function _sendProtocolError(socket, data, code, message) {
+  let info = util.peekSocketEvent(data);
+  this.logger.trace(`[${this.name}] received invalid event [${code}] ${info.event || ''}`);
+  this.emit('protocol.error', socket, code, info);
+  if (socket.sid) return;
+  let err = {
+    x: code,
+    m: message
+  };
+  if (info.event) err.e = info.event;
+  if (info.r !== null) err.r = info.r;
+  util.sendSocketEvent(socket, events.CLUSTER.ERROR, err);
+}
+
 module.exports = Server;
@@ -0,0 +1,385 @@
+'use strict';
+/**
+ * This handles the serialization codecs used by cluster traffic.
+ * The default codec is JSON, using the "{event}|{data}" text protocol (see lib/util.js).
+ * Any other codec sends binary frames, with the following structure:
+ *    0x00 + {codecId} + {eventLength} + {event} + {encodedData}
+ * where
+ *    - codecId - the 1-byte id of the codec that encoded the data
+ *    - eventLength - the 1-byte length of the event name
+ *    - encodedData - the result of codec.encode(data)
+ * Since codec frames describe themselves, any node can decode them. Nodes negotiate
+ * the codec to use when sending events during the NODE_INFO handshake.
+ *
+ * A codec is an object with the following structure:
+ *  - id - a unique number between 1 and 255 (0 is reserved for JSON)
+ *  - name - the unique name of the codec
+ *  - encode(data) - a function that returns a Buffer
+ *  - decode(buffer) - a function that returns the decoded data
+ * */
+const FRAME_MARKER = 0x00,
+  MAX_EVENT_LENGTH = 255;
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype']; // decoded map keys that we skip, so that they cannot pollute object prototypes
+const codecs = {},  // a map of {codecName:codecObj}
+  codecIds = {};    // a map of {codecId:codecObj}
+const codec = {};
+
+codec.JSON = 'json';
+codec.MSGPACK = 'msgpack';
+
+/**
+ * Registers a new codec that can be used for cluster traffic.
+ * @Arguments
+ *  - codecObj - the codec object, as described above.
+ * */
+codec.register = (codecObj) => {
+  if (typeof codecObj !== 'object' || !codecObj) throw new Error('Quty codec: codec must be an object');
+  if (typeof codecObj.name !== 'string' || !codecObj.name) throw new Error('Quty codec: codec requires a name');
+  if (typeof codecObj.id !== 'number' || codecObj.id < 1 || codecObj.id > 255) throw new Error('Quty codec: codec id must be a number between 1 and 255');
+  if (typeof codecObj.encode !== 'function' || typeof codecObj.decode !== 'function') throw new Error('Quty codec: codec requires encode() and decode() functions');
+  if (codecs[codecObj.name] || codecIds[codecObj.id]) throw new Error(`Quty codec: codec ${codecObj.name} [${codecObj.id}] is already registered`);
+  codecs[codecObj.name] = codecObj;
+  codecIds[codecObj.id] = codecObj;
+  return codec;
+};
+
+/**
+ * Returns the codec with the specified name, or null if it is not registered.
+ * Note: the JSON codec is built into our text protocol, so it is not returned.
+ * */
+codec.get = (name) => {
+  return codecs[name] || null;
+};
+
+/**
+ * Checks if the specified codec name is supported
+ * */
+codec.isSupported = (name) => {
+  return name === codec.JSON || !!codecs[name];
+};
+
+/**
+ * Returns the first codec in the offered list, that is also in the accepted list.
+ * Defaults to JSON when no common codec is found.
+ * @Arguments
+ *  - offered - an array of codec names, in the order of preference
+ *  - accepted - an array of codec names we accept
+ * */
+codec.negotiate = (offered, accepted) => {
+  if (!(offered instanceof Array) || !(accepted instanceof Array)) return codec.JSON;
+  for (let i = 0, len = offered.length; i < len; i++) {
+    let name = offered[i];
+    if (accepted.indexOf(name) === -1) continue;
+    if (!codec.isSupported(name)) continue;
+    return name;
+  }
+  return codec.JSON;
+};
+
+/**
+ * Checks if the given buffer is a codec frame.
+ * */
+codec.isFrame = (data) => {
+  return Buffer.isBuffer(data) && data.length > 3 && data[0] === FRAME_MARKER;
+};
+
+/**
+ * Encodes the event and data using the specified codec, returning the frame Buffer
+ * */
+codec.encodeFrame = (codecObj, event, data) => {
+  let eventBuf = Buffer.from(event, 'ascii');
+  if (eventBuf.length > MAX_EVENT_LENGTH) throw new Error('Quty codec: event name is too long');
+  let header = Buffer.from([FRAME_MARKER, codecObj.id, eventBuf.length]);
+  return Buffer.concat([header, eventBuf, codecObj.encode(data)]);
+};
+
+/**
+ * Decodes a codec frame, returning {event, data}
+ * Throws an error if the frame is invalid or its codec is not registered.
+ * */
+codec.decodeFrame = (data) => {
+  let codecObj = codecIds[data[1]];
+  if (!codecObj) throw new Error(`Quty codec: unknown codec id ${data[1]}`);
+  let eventLength = data[2],
+    offset = 3 + eventLength;
+  if (offset > data.length) throw new Error('Quty codec: invalid frame');
+  return {
+    event: data.toString('ascii', 3, offset),
+    data: codecObj.decode(data.slice(offset))
+  };
+};
+
+/**
+ * The built-in MessagePack codec.
+ * It supports: nil, booleans, integers, floats, strings, binary (Buffers/TypedArrays), arrays and maps.
+ * Just like JSON, object properties that are undefined or functions are skipped
+ * and objects with a toJSON() function (eg: Dates) are encoded using its result.
+ * Map keys that could pollute object prototypes (__proto__, constructor, prototype) are skipped when decoding.
+ * */
+const msgpack = {
+  id: 1,
+  name: codec.MSGPACK,
+  encode(data) {
+    let enc = {
+      buf: Buffer.allocUnsafe(256),
+      pos: 0
+    };
+    msgpackEncode(enc, data);
+    return enc.buf.slice(0, enc.pos);
+  },
+  decode(buf) {
+    let dec = {
+      buf,
+      pos: 0
+    };
+    let res = msgpackDecode(dec);
+    if (dec.pos !== buf.length) throw new Error('Quty codec: invalid msgpack data');
+    return res;
+  }
+};
+
+function ensure(enc, size) {
+  if (enc.pos + size <= enc.buf.length) return;
+  let nextSize = enc.buf.length * 2;
+  while (nextSize < enc.pos + size) nextSize *= 2;
+  let next = Buffer.allocUnsafe(nextSize);
+  enc.buf.copy(next, 0, 0, enc.pos);
+  enc.buf = next;
+}
+
+function writeByte(enc, b) {
+  ensure(enc, 1);
+  enc.buf[enc.pos++] = b;
+}
+
+function writeHeader(enc, size, fix, fixMax, t8, t16, t32) {
+  if (fix !== null && size <= fixMax) return writeByte(enc, fix | size);
+  if (t8 !== null && size < 0x100) {
+    ensure(enc, 2);
+    enc.buf[enc.pos++] = t8;
+    enc.buf[enc.pos++] = size;
+    return;
+  }
+  if (size < 0x10000) {
+    ensure(enc, 3);
+    enc.buf[enc.pos++] = t16;
+    enc.buf.writeUInt16BE(size, enc.pos);
+    enc.pos += 2;
+    return;
+  }
+  ensure(enc, 5);
+  enc.buf[enc.pos++] = t32;
+  enc.buf.writeUInt32BE(size, enc.pos);
+  enc.pos += 4;
+}
+
+function writeNumber(enc, n) {
+  if (!Number.isInteger(n) || !Number.isSafeInteger(n)) {
+    ensure(enc, 9);
+    enc.buf[enc.pos++] = 0xcb;
+    enc.buf.writeDoubleBE(n, enc.pos);
+    enc.pos += 8;
+    return;
+  }
+  if (n >= 0) {
+    if (n < 0x80) return writeByte(enc, n);
+    if (n < 0x100) {
+      ensure(enc, 2);
+      enc.buf[enc.pos++] = 0xcc;
+      enc.buf[enc.pos++] = n;
+      return;
+    }
+    if (n < 0x10000) {
+      ensure(enc, 3);
+      enc.buf[enc.pos++] = 0xcd;
+      enc.buf.writeUInt16BE(n, enc.pos);
+      enc.pos += 2;
+      return;
+    }
+    if (n < 0x100000000) {
+      ensure(enc, 5);
+      enc.buf[enc.pos++] = 0xce;
+      enc.buf.writeUInt32BE(n, enc.pos);
+      enc.pos += 4;
+      return;
+    }
+    ensure(enc, 9);
+    enc.buf[enc.pos++] = 0xcf;
+    enc.buf.writeUInt32BE(Math.floor(n / 0x100000000), enc.pos);
+    enc.buf.writeUInt32BE(n % 0x100000000, enc.pos + 4);
+    enc.pos += 8;
+    return;
+  }
+  if (n >= -0x20) return writeByte(enc, n & 0xff);
+  if (n >= -0x80) {
+    ensure(enc, 2);
+    enc.buf[enc.pos++] = 0xd0;
+    enc.buf.writeInt8(n, enc.pos++);
+    return;
+  }
+  if (n >= -0x8000) {
+    ensure(enc, 3);
+    enc.buf[enc.pos++] = 0xd1;
+    enc.buf.writeInt16BE(n, enc.pos);
+    enc.pos += 2;
+    return;
+  }
+  if (n >= -0x80000000) {
+    ensure(enc, 5);
+    enc.buf[enc.pos++] = 0xd2;
+    enc.buf.writeInt32BE(n, enc.pos);
+    enc.pos += 4;
+    return;
+  }
+  ensure(enc, 9);
+  enc.buf[enc.pos++] = 0xd3;
+  let hi = Math.floor(n / 0x100000000),
+    lo = n - hi * 0x100000000;
+  enc.buf.writeInt32BE(hi, enc.pos);
+  enc.buf.writeUInt32BE(lo, enc.pos + 4);
+  enc.pos += 8;
+}
+
+function writeRaw(enc, buf) {
+  ensure(enc, buf.length);
+  buf.copy(enc.buf, enc.pos);
+  enc.pos += buf.length;
+}
+
+function msgpackEncode(enc, value) {
+  if (value === null || typeof value === 'undefined') return writeByte(enc, 0xc0);
+  let t = typeof value;
+  if (t === 'boolean') return writeByte(enc, value ? 0xc3 : 0xc2);
+  if (t === 'number') return writeNumber(enc, value);
+  if (t === 'string') {
+    let strBuf = Buffer.from(value, 'utf8');
+    writeHeader(enc, strBuf.length, 0xa0, 31, 0xd9, 0xda, 0xdb);
+    return writeRaw(enc, strBuf);
+  }
+  if (t !== 'object') return writeByte(enc, 0xc0); // functions, symbols
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    let binBuf = Buffer.isBuffer(value) ? value : (ArrayBuffer.isView(value) ? Buffer.from(value.buffer, value.byteOffset, value.byteLength) : Buffer.from(value));
+    writeHeader(enc, binBuf.length, null, 0, 0xc4, 0xc5, 0xc6);
+    return writeRaw(enc, binBuf);
+  }
+  if (value instanceof Array) {
+    writeHeader(enc, value.length, 0x90, 15, null, 0xdc, 0xdd);
+    for (let i = 0, len = value.length; i < len; i++) {
+      msgpackEncode(enc, value[i]);
+    }
+    return;
+  }
+  if (typeof value.toJSON === 'function') return msgpackEncode(enc, value.toJSON());
+  let keys = Object.keys(value),
+    validKeys = [];
+  for (let i = 0, len = keys.length; i < len; i++) {
+    let vt = typeof value[keys[i]];
+    if (vt === 'undefined' || vt === 'function' || vt === 'symbol') continue;
+    validKeys.push(keys[i]);
+  }
+  writeHeader(enc, validKeys.length, 0x80, 15, null, 0xde, 0xdf);
+  for (let i = 0, len = validKeys.length; i < len; i++) {
+    msgpackEncode(enc, validKeys[i]);
+    msgpackEncode(enc, value[validKeys[i]]);
+  }
+}
+
+function readBytes(dec, size) {
+  if (dec.pos + size > dec.buf.length) throw new Error('Quty codec: unexpected end of msgpack data');
+  let res = dec.buf.slice(dec.pos, dec.pos + size);
+  dec.pos += size;
+  return res;
+}
+
+function readUInt(dec, size) {
+  let b = readBytes(dec, size);
+  if (size === 1) return b[0];
+  if (size === 2) return b.readUInt16BE(0);
+  if (size === 4) return b.readUInt32BE(0);
+  return b.readUInt32BE(0) * 0x100000000 + b.readUInt32BE(4);
+}
+
+function readArray(dec, size) {
+  let res = new Array(size);
+  for (let i = 0; i < size; i++) {
+    res[i] = msgpackDecode(dec);
+  }
+  return res;
+}
+
+function readMap(dec, size) {
+  let res = {};
+  for (let i = 0; i < size; i++) {
+    let key = msgpackDecode(dec),
+      value = msgpackDecode(dec);
+    // non-string keys (eg: arrays or binaries) are converted the way res[key] would, before they are checked.
+    if (typeof key !== 'string') key = String(key);
+    if (UNSAFE_KEYS.indexOf(key) !== -1) continue;
+    res[key] = value;
+  }
+  return res;
+}
+
+function msgpackDecode(dec) {
+  let b = readUInt(dec, 1);
+  if (b < 0x80) return b;
+  if (b >= 0xe0) return b - 0x100;
+  if ((b & 0xf0) === 0x80) return readMap(dec, b & 0x0f);
+  if ((b & 0xf0) === 0x90) return readArray(dec, b & 0x0f);
+  if ((b & 0xe0) === 0xa0) return readBytes(dec, b & 0x1f).toString('utf8');
+  switch (b) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return readBytes(dec, readUInt(dec, 1));
+    case 0xc5:
+      return readBytes(dec, readUInt(dec, 2));
+    case 0xc6:
+      return readBytes(dec, readUInt(dec, 4));
+    case 0xca:
+      return readBytes(dec, 4).readFloatBE(0);
+    case 0xcb:
+      return readBytes(dec, 8).readDoubleBE(0);
+    case 0xcc:
+      return readUInt(dec, 1);
+    case 0xcd:
+      return readUInt(dec, 2);
+    case 0xce:
+      return readUInt(dec, 4);
+    case 0xcf:
+      return readUInt(dec, 8);
+    case 0xd0:
+      return readBytes(dec, 1).readInt8(0);
+    case 0xd1:
+      return readBytes(dec, 2).readInt16BE(0);
+    case 0xd2:
+      return readBytes(dec, 4).readInt32BE(0);
+    case 0xd3: {
+      let i64 = readBytes(dec, 8);
+      return i64.readInt32BE(0) * 0x100000000 + i64.readUInt32BE(4);
+    }
+    case 0xd9:
+      return readBytes(dec, readUInt(dec, 1)).toString('utf8');
+    case 0xda:
+      return readBytes(dec, readUInt(dec, 2)).toString('utf8');
+    case 0xdb:
+      return readBytes(dec, readUInt(dec, 4)).toString('utf8');
+    case 0xdc:
+      return readArray(dec, readUInt(dec, 2));
+    case 0xdd:
+      return readArray(dec, readUInt(dec, 4));
+    case 0xde:
+      return readMap(dec, readUInt(dec, 2));
+    case 0xdf:
+      return readMap(dec, readUInt(dec, 4));
+  }
+  throw new Error(`Quty codec: unsupported msgpack type 0x${b.toString(16)}`);
+}
+
+codec.register(msgpack);
+
+module.exports = codec;
@@ -11,16 +11,44 @@
 const CLUSTER = {
   NODE_INFO: "I", // Event sent from the cluster server to the cluster node, announcing the server's id, so that the client know who is he connected to
   NODE_STATE: "S",  // Event fired when we want to broadcast the state of our node's peered connection
+  NODE_LEAVE: "N",  // Event broadcasted by a node that is shutting down ({s, t: drainTimeout}), so that other nodes stop routing to it right away and do not add it again while it drains.
   CHANNEL_JOIN: "J",
   CHANNEL_MESSAGE: "M",
   CHANNEL_LEAVE: "L",
   CLIENT_UNSUBSCRIBE: "U",
-  CLIENT_KICK: "K"
+  CLIENT_KICK: "K",
+  PRESENCE_JOIN: "P",  // Event broadcasted when a client of the node is present in a channel
+  PRESENCE_LEAVE: "Q",  // Event broadcasted when a client of the node is no longer present in a channel
+  CHANNEL_HISTORY: "H",  // Event sent by a publisher to request a channel's history. The node replies with the same event.
+  CLIENT_MESSAGE: "C",  // Event sent to the node that owns a client, to deliver a message directly to that client.
+  MESSAGE_ACK: "A",  // Event sent back to a publisher once its CHANNEL_MESSAGE (with a request id {r}) was routed ({r, o: routed, q: seq}).
+  BATCH: "B",  // Event sent between nodes, containing multiple events ({e: [[event, data],...]}) that are unpacked in order.
+  TOKEN_REVOKE: "R",  // Event broadcasted when a token id ({j}) is revoked until a timestamp ({u}).
+  CLIENT_CONNECT: "O",  // Event broadcasted when a client ({cid}) connected to the node, so that direct messages are routed to it.
+  CLIENT_DISCONNECT: "D",  // Event broadcasted when a client ({cid}) disconnected from the node.
+  ERROR: "E"  // Event sent to a publisher when its event was rejected ({e: event, x: code, m: message, r: requestId})
 };
 
-const HUB = {};
+const HUB = {
+  CLIENT_INFO: "I", // Event sent from the hub server to a connected client, announcing the client's id
+  CHANNEL_JOIN: "J",  // Event sent by a client when it wants to join a channel. The hub replies with the same event once joined.
+  CHANNEL_MESSAGE: "M", // Event sent by a client to publish to a channel, or by the hub when delivering a channel message
+  CHANNEL_LEAVE: "L", // Event sent by a client when it wants to leave a channel. The hub replies with the same event once left.
+  CLIENT_MESSAGE: "D", // Event sent by the hub when delivering a message directly to the client.
+  ERROR: "E"  // Event sent by the hub to a client when a request could not be processed ({e: event, m: message, c: channel, x: code})
+};
+
+/**
+ * The error codes sent in the "x" field of ERROR events.
+ * */
+const ERROR = {
+  RATE_LIMITED: "rate_limited",  // The event was rejected since the publisher, client or channel exceeded its rate limit.
+  MALFORMED_EVENT: "malformed_event", // The event could not be parsed.
+  PAYLOAD_TOO_LARGE: "payload_too_large"  // The event exceeded the server's maximum message size.
+};
 
 module.exports = {
   CLUSTER,
-  HUB
+  HUB,
+  ERROR
 };
@@ -1,7 +1,9 @@
 'use strict';
+const fs = require('fs'),
+  nodeUtil = require('util');
 
 /**
- * This is a simple console logger used by quty to log
+ * This is a simple logger used by quty to log
  * helpful information to the console.
  * Logging levels:
  * - ERROR
@@ -9,57 +11,230 @@
  * - INFO
  * - DEBUG
  * - TRACE
+ * Logging formats:
+ * - text - the default, human-readable "[quty] [{date}] [{level}] {message} {fields}" lines
+ * - json - one JSON object per line, with {level, time, component, node, msg} and any fields passed in.
+ *   Fields never overwrite the level, time and msg keys.
+ * The formatted lines are written to all the registered transports (stdout by default).
+ * A transport is a function(line, entry) or one of:
+ * - "stdout" - writes the line to the console
+ * - {file: "/path/to/file.log"} - appends the line to the given file.
+ * Child loggers carry their context (eg: {component, node, sid, pid}) in every entry:
+ *  const nodeLog = log.child({component: 'quty-cluster', sid: 'abc'});
+ *  nodeLog.info('connected', {url});
+ * Per-event context (eg: a client's {cid}) is passed as fields instead, so that no logger is created per event.
  * */
-log.LEVEL = {
+const LEVEL = {
   ERROR: 5,
   WARN: 4,
   INFO: 3,
   DEBUG: 2,
   TRACE: 1
 };
-let logLevel = log.LEVEL.INFO; // Set the default logging level.
+const FORMAT = {
+  TEXT: 'text',
+  JSON: 'json'
+};
+const TAG_REGEX = /^\[([^\]]+)\]:?\s*/;  // the "[quty-cluster] " prefix of our messages
+
+let logLevel = LEVEL.INFO, // Set the default logging level.
+  logFormat = FORMAT.TEXT,
+  logTransports = [];
+
+const log = createLogger({});
+log.LEVEL = LEVEL;
+log.FORMAT = FORMAT;
+
+/**
+ * The built-in transports.
+ * */
+log.transport = {
+  stdout: () => {
+    return (line) => {
+      console.log(line);
+    };
+  },
+  file: (filePath) => {
+    if (typeof filePath !== 'string' || !filePath) throw new Error('Quty logger: file transport requires a path');
+    let stream = fs.createWriteStream(filePath, {
+      flags: 'a'
+    });
+    stream.on('error', (e) => {
+      console.error(`[quty] could not write to log file: ${filePath} [${e.message}]`);
+    });
+    let fn = (line) => {
+      stream.write(line + '\n');
+    };
+    fn.close = () => stream.end();
+    return fn;
+  }
+};
+logTransports.push(log.transport.stdout());
+
+log.setLevel = (name) => {
+  if (typeof name === 'string') name = name.toUpperCase();
+  if (!LEVEL[name]) return false;
+  logLevel = LEVEL[name];
+  return true;
+};
+
+log.setFormat = (name) => {
+  if (typeof name === 'string') name = name.toLowerCase();
+  if (name !== FORMAT.TEXT && name !== FORMAT.JSON) return false;
+  logFormat = name;
+  return true;
+};
+
+/**
+ * Replaces the registered transports with the given ones.
+ * @Arguments
+ *  - items - a transport or an array of transports ("stdout", {file}, or a function(line, entry))
+ * */
+log.setTransports = (items) => {
+  if (!(items instanceof Array)) items = [items];
+  let res = items.map(getTransport);
+  for (let i = 0, len = logTransports.length; i < len; i++) {
+    let fn = logTransports[i];
+    if (res.indexOf(fn) === -1 && typeof fn.close === 'function') fn.close();
+  }
+  logTransports = res;
+  return true;
+};
 
-function log() {
-  let _args = Array.prototype.slice.call(arguments);
+/**
+ * Registers an additional transport.
+ * */
+log.addTransport = (item) => {
+  logTransports.push(getTransport(item));
+  return true;
+};
+
+/**
+ * Creates a logger function that includes the given context in all its entries.
+ * */
+function createLogger(context) {
+  function logger() {
+    write(context, Array.prototype.slice.call(arguments));
+  }
+
+  logger.context = context;
+  logger.error = logger.bind(null, 'ERROR');
+  logger.warn = logger.bind(null, 'WARN');
+  logger.info = logger.bind(null, 'INFO');
+  logger.debug = logger.bind(null, 'DEBUG');
+  logger.trace = logger.bind(null, 'TRACE');
+  logger.child = (ctx) => createLogger(Object.assign({}, context, ctx));
+  return logger;
+}
+
+/**
+ * Formats the given log arguments and writes them to all the transports.
+ * */
+function write(context, _args) {
   let level = _args[0];
-  if (typeof log.LEVEL[level] === 'undefined') {
+  if (typeof LEVEL[level] === 'undefined') {
     level = 'INFO';
   } else {
     _args.splice(0, 1);
   }
-  let levelNumber = log.LEVEL[level];
-  if (levelNumber < logLevel) return;
-  let d = new Date().toISOString();
-  d = d.replace('T', ' ').replace('Z', '');
-  let msg = `[quty] [${d}] [${level}] `,
-    _objects = [],
-    hasMessage = false;
+  let levelNumber = LEVEL[level];
+  if (levelNumber < logLevel || logTransports.length === 0) return;
+  let now = new Date(),
+    msg = '',
+    _objects = [];
   for (let i = 0, len = _args.length; i < len; i++) {
     let _t = typeof _args[i];
     if (_t === 'string' || _t === 'number' || _t === 'boolean') {
       msg += _args[i];
-      if (!hasMessage) hasMessage = true;
-    } else if (_t === 'object' && _t !== null) {
+    } else if (_t === 'object' && _args[i] !== null) {
       _objects.push(_args[i]);
     }
   }
-  if (hasMessage) console.log(msg);
-  if (_objects.length > 0) {
-    console.log(_objects);
+  let entry = {
+      level,
+      time: now.toISOString()
+    },
+    fields = {},
+    _inspect = [];
+  Object.assign(entry, context);
+  let tag = msg.match(TAG_REGEX);
+  if (tag) {
+    if (!entry.component) entry.component = tag[1];
+    entry.msg = msg.substr(tag[0].length);
+  } else {
+    entry.msg = msg;
+  }
+  for (let i = 0, len = _objects.length; i < len; i++) {
+    let item = _objects[i];
+    if (item instanceof Error) {
+      entry.err = {
+        message: item.message,
+        code: item.code,
+        stack: item.stack
+      };
+      _inspect.push(item);
+    } else if (item instanceof Array) {
+      if (!entry.data) entry.data = [];
+      entry.data = entry.data.concat(item);
+      _inspect.push(item);
+    } else {
+      Object.assign(fields, item);
+    }
+  }
+  // the fields passed in never overwrite the level, time or message of the entry.
+  let reserved = {
+    level: entry.level,
+    time: entry.time,
+    msg: entry.msg
+  };
+  Object.assign(entry, fields, reserved);
+  let line;
+  if (logFormat === FORMAT.JSON) {
+    line = stringify(entry);
+  } else {
+    let d = now.toISOString().replace('T', ' ').replace('Z', '');
+    line = msg ? `[quty] [${d}] [${level}] ${msg}` : '';
+    if (Object.keys(fields).length > 0) {
+      line += (line ? ' ' : '') + stringify(fields);
+    }
+    if (_inspect.length > 0) {
+      line += (line ? '\n' : '') + nodeUtil.inspect(_inspect);
+    }
+  }
+  for (let i = 0, len = logTransports.length; i < len; i++) {
+    try {
+      logTransports[i](line, entry);
+    } catch (e) {
+    }
   }
 }
 
-log.error = log.bind(null, 'ERROR');
-log.warn = log.bind(null, 'WARN');
-log.info = log.bind(null, 'INFO');
-log.debug = log.bind(null, 'DEBUG');
-log.trace = log.bind(null, 'TRACE');
+/**
+ * Converts "stdout", {file} or a function to a transport function.
+ * */
+function getTransport(item) {
+  if (typeof item === 'function') return item;
+  if (item === 'stdout') return log.transport.stdout();
+  if (typeof item === 'object' && item && typeof item.file === 'string') return log.transport.file(item.file);
+  throw new Error('Quty logger: invalid transport');
+}
 
-log.setLevel = (name) => {
-  if (typeof name === 'string') name = name.toUpperCase();
-  if (!log.LEVEL[name]) return false;
-  logLevel = log.LEVEL[name];
-  return true;
-};
+/**
+ * Stringifies the entry, making sure that circular or invalid fields do not break logging.
+ * */
+function stringify(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch (e) {
+    let seen = [];
+    return JSON.stringify(entry, (key, value) => {
+      if (typeof value === 'bigint') return value.toString();
+      if (typeof value !== 'object' || !value) return value;
+      if (seen.indexOf(value) !== -1) return '[Circular]';
+      seen.push(value);
+      return value;
+    });
+  }
+}
 
 module.exports = log;
@@ -0,0 +1,103 @@
+'use strict';
+/**
+ * This handles the formatting of metrics in the Prometheus text exposition format.
+ * A metric is an object with the following structure:
+ *  {
+ *    name: "quty_nodes_connected",
+ *    help: "The number of connected nodes",
+ *    type: "gauge" | "counter",
+ *    value: 1,                                       // for metrics without labels
+ *    values: [{labels: {event: "M"}, value: 10}]     // for metrics with labels
+ *  }
+ * */
+const metrics = {};
+
+metrics.TYPE = {
+  GAUGE: 'gauge',
+  COUNTER: 'counter'
+};
+
+/**
+ * Creates an empty stats object, used to count the events and bytes of sockets.
+ * Sockets that have socket.__stats set are counted by util.sendSocketEvent and the event handlers.
+ * */
+metrics.createStats = () => {
+  return {
+    bytesIn: 0,
+    bytesOut: 0,
+    eventsIn: {}, // a map of {event:count}
+    eventsOut: {} // a map of {event:count}
+  };
+};
+
+/**
+ * Formats the given array of metrics, returning the Prometheus text.
+ * */
+metrics.format = (items) => {
+  let lines = [];
+  for (let i = 0, len = items.length; i < len; i++) {
+    let item = items[i];
+    if (typeof item !== 'object' || !item || !item.name) continue;
+    if (item.help) lines.push(`# HELP ${item.name} ${item.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${item.name} ${item.type || metrics.TYPE.GAUGE}`);
+    let values = (item.values instanceof Array) ? item.values : [{
+      value: item.value
+    }];
+    for (let j = 0, jlen = values.length; j < jlen; j++) {
+      let v = values[j];
+      lines.push(`${item.name}${formatLabels(v.labels)} ${formatValue(v.value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Converts a map of {eventCode:count} to labeled metric values, using the
+ * event names of the given events map (eg: events.CLUSTER) as the "event" label.
+ * Codes that are not part of the events map are added up under event="unknown", to keep the label cardinality bounded.
+ * */
+metrics.eventValues = (eventMap, counts, labels = {}) => {
+  let names = {},
+    values = {},
+    res = [];
+  Object.keys(eventMap).forEach((name) => {
+    names[eventMap[name]] = name;
+  });
+  let codes = Object.keys(counts);
+  for (let i = 0, len = codes.length; i < len; i++) {
+    let name = names[codes[i]] || 'unknown';
+    values[name] = (values[name] || 0) + counts[codes[i]];
+  }
+  let keys = Object.keys(values);
+  for (let i = 0, len = keys.length; i < len; i++) {
+    res.push({
+      labels: Object.assign({
+        event: keys[i]
+      }, labels),
+      value: values[keys[i]]
+    });
+  }
+  return res;
+};
+
+function formatLabels(labels) {
+  if (typeof labels !== 'object' || !labels) return '';
+  let keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  let items = [];
+  for (let i = 0, len = keys.length; i < len; i++) {
+    let value = String(labels[keys[i]]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    items.push(`${keys[i]}="${value}"`);
+  }
+  return `{${items.join(',')}}`;
+}
+
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value !== 'number' || isNaN(value)) return '0';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return value.toString();
+}
+
+module.exports = metrics;
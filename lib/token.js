@@ -6,12 +6,40 @@
  *    {base64String}-{base64Signature}
  * where
  *    - base64String is the token data
- *    - base64Signature is the HMAC-sha256 signature of the data.
+ *    - base64Signature is the HMAC-sha256 signature of the data (version 1 tokens)
+ *      OR the Ed25519/RSA/ECDSA signature of the data (version 2 tokens, see below)
+ * The secret used to sign and verify tokens can be either a string, or a keyring
+ * that allows rotating secrets without downtime:
+ *    {
+ *      sign: "{keyId}",    // the id of the key used to sign new tokens
+ *      keys: {             // all the active keys, the ones other than "sign" are only used to verify tokens
+ *        "{keyId}": "{secret}"
+ *      }
+ *    }
+ * Tokens signed with a keyring carry the key id in data._k
+ *
+ * Instead of a secret string, a key can also be an asymmetric key object:
+ *    {
+ *      privateKey: "{pem}",  // the private key (PEM or crypto.KeyObject) used to sign tokens (optional)
+ *      publicKey: "{pem}"    // the public key (PEM or crypto.KeyObject) used to verify tokens (optional if privateKey is set)
+ *    }
+ * so that an auth service can sign tokens with its private key, while Quty nodes only hold the public key.
+ * Asymmetric tokens use TOKEN_VERSION 2 and carry the signing algorithm in data._a
+ * HMAC tokens still use version 1, so that older nodes keep accepting them.
  * */
 const crypto = require('crypto'),
+  ChannelHub = require('./ChannelHub'),
   util = require('./util');
 const TOKEN_HASH_ALG = 'sha256',
-  TOKEN_VERSION = 1;
+  TOKEN_VERSION = 2,
+  HMAC_TOKEN_VERSION = 1;
+const KEY_ALGORITHMS = {  // a map of {asymmetricKeyType:{alg, digest}}
+  ed25519: {alg: 'ed25519', digest: null},
+  ed448: {alg: 'ed448', digest: null},
+  rsa: {alg: 'rs256', digest: TOKEN_HASH_ALG},
+  ec: {alg: 'es256', digest: TOKEN_HASH_ALG}
+};
+const keyObjects = new WeakMap(); // a cache of {keyObj:{privateKey, publicKey, alg, digest}}
 const token = {};
 
 /**
@@ -22,15 +50,27 @@ const token = {};
  *  - opt.expire -> the date / timestamp the token expires
  *      OR
  *  - opt.ttl -> the number of milliseconds a token is valid
- *  - opt.secret -> the secret token to use to sign the data
+ *  - opt.secret -> the secret token, asymmetric key or keyring to use to sign the data
  *  - opt.type - the type of token to create (CLUSTER or HUB). Defaults to HUB
  *  - opt.id - the server id to use
+ *  - opt.tokenId - the unique id of the token, used for revocation. Defaults to a random string.
+ *  - opt.admin - (CLUSTER_CLIENT tokens) if set to true, the token can also use the cluster's admin API.
+ *  - opt.grants - (HUB tokens) a map of {channelPattern:rights} the client is allowed to use, where
+ *      rights is a string containing "r" (join/read) and/or "w" (publish/write)
+ *      and channelPattern may contain the same wildcards as channel subscriptions (see lib/ChannelHub.js):
+ *      "*" matches exactly one segment and ">" as the last segment matches one or more segments
+ *      (eg: {"chat.*": "rw", "orders.>": "r", "news": "r"})
  *
  *  Result data:
  *    - data._e = the expiration timestamp
  *    - data._v = the token version
  *    - data._t = the token type
  *    - data._i = the server id
+ *    - data._g = the channel grants
+ *    - data._k = the id of the keyring key used to sign the token
+ *    - data._a = the signing algorithm of asymmetric tokens
+ *    - data._j = the unique token id
+ *    - data._d = 1 for admin tokens
  * */
 token.create = (data = {}, opt = {}) => {
   if (typeof data !== 'object' || !data) data = {};
@@ -42,14 +82,34 @@ token.create = (data = {}, opt = {}) => {
   } else if (typeof opt.ttl === 'number') {
     data._e = Date.now() + opt.ttl;
   }
-  data._v = TOKEN_VERSION;
   data._t = typeof opt.type === 'undefined' ? token.TYPE.HUB : opt.type;
   if (opt.id) data._i = opt.id;
+  data._j = (typeof opt.tokenId === 'string' && opt.tokenId) ? opt.tokenId : util.randomString(16);
+  if (typeof opt.grants === 'object' && opt.grants) data._g = opt.grants;
+  if (opt.admin === true) data._d = 1;
+  let secret = opt.secret,
+    keyObj = null;
+  if (isKeyring(secret)) {
+    if (!secret.keys[secret.sign]) throw new Error(`Quty token: keyring signing key ${secret.sign} not found`);
+    data._k = secret.sign;
+    secret = secret.keys[secret.sign];
+  }
+  if (isAsymmetricKey(secret)) {
+    keyObj = getKeyObject(secret);
+    if (!keyObj.privateKey) throw new Error('Quty token: a private key is required to sign tokens');
+    data._v = TOKEN_VERSION;
+    data._a = keyObj.alg;
+  } else {
+    data._v = HMAC_TOKEN_VERSION;
+  }
   let jsonData = util.safeStringify(data);
   let b64Data = util.toBase64(jsonData);
   let result = [b64Data];
-  if (opt.secret) {
-    let b64Sign = crypto.createHmac(TOKEN_HASH_ALG, opt.secret).update(b64Data).digest('base64');
+  if (keyObj) {
+    let b64Sign = crypto.sign(keyObj.digest, Buffer.from(b64Data), keyObj.privateKey).toString('base64');
+    result.push(b64Sign);
+  } else if (secret) {
+    let b64Sign = crypto.createHmac(TOKEN_HASH_ALG, secret).update(b64Data).digest('base64');
     result.push(b64Sign);
   }
   return result.join('-');
@@ -59,13 +119,15 @@ token.create = (data = {}, opt = {}) => {
  * Verifies if the provided token is valid.
  * A token is valid if:
  *  - has the _e set and it is in the future
- *  - has the _v set and it is the current version
+ *  - has the _v set and it is a supported version (HMAC or asymmetric)
  *  - has the _t type
  *  - if the server has auth enabled, check the auth signature
  * @Arguments
  *  - token - the string token previously created by this lib
  *  - opt.type - the type
- *  - opt.secret - the secret to use
+ *  - opt.secret - the secret, asymmetric key or keyring to use
+ *  Note: when using a keyring, tokens without a key id are verified against all the keys,
+ *  so that tokens created before switching to a keyring remain valid.
  * */
 token.verify = (token, opt = {}) => {
   try {
@@ -77,8 +139,11 @@ token.verify = (token, opt = {}) => {
       jsonData = Buffer.from(base64Data, 'base64').toString('utf8');
     jsonData = JSON.parse(jsonData);
     if (typeof jsonData !== 'object' || !jsonData) return false;
-    if (jsonData._v !== TOKEN_VERSION) return false;
+    let version = jsonData._v,
+      alg = jsonData._a;
+    if (version !== TOKEN_VERSION && version !== HMAC_TOKEN_VERSION) return false;
     delete jsonData._v;
+    delete jsonData._a;
     if (typeof opt.type !== 'undefined') {
       if (jsonData._t !== opt.type) return false;
       delete jsonData._t;
@@ -88,16 +153,164 @@ token.verify = (token, opt = {}) => {
       if (jsonData._e < now) return false;
       delete jsonData._e;
     }
+    let keyId = jsonData._k;
+    delete jsonData._k;
     if (!opt.secret) return jsonData;
+    if (typeof base64Sign !== 'string' || !base64Sign) return false;
     // Check the sign now
-    let currentSign = crypto.createHmac(TOKEN_HASH_ALG, opt.secret).update(base64Data).digest('base64');
-    if (base64Sign !== currentSign) return false;
-    return jsonData;
+    let keys;
+    if (isKeyring(opt.secret)) {
+      if (typeof keyId === 'undefined') {
+        keys = Object.keys(opt.secret.keys).map((id) => opt.secret.keys[id]);
+      } else {
+        keys = opt.secret.keys[keyId] ? [opt.secret.keys[keyId]] : [];
+      }
+    } else {
+      keys = [opt.secret];
+    }
+    for (let i = 0, len = keys.length; i < len; i++) {
+      if (verifySignature(keys[i], version, alg, base64Data, base64Sign)) return jsonData;
+    }
+    return false;
   } catch (e) {
     return false;
   }
 };
 
+/**
+ * Returns an array with all the secrets of the given secret/keyring,
+ * starting with the signing secret.
+ * */
+function getSecrets(secret) {
+  if (typeof secret === 'string') return secret ? [secret] : [];
+  if (!isKeyring(secret)) return [];
+  let res = [],
+    keyIds = Object.keys(secret.keys);
+  if (typeof secret.keys[secret.sign] === 'string') res.push(secret.keys[secret.sign]);
+  for (let i = 0, len = keyIds.length; i < len; i++) {
+    let key = secret.keys[keyIds[i]];
+    if (keyIds[i] === secret.sign || typeof key !== 'string' || !key) continue;
+    res.push(key);
+  }
+  return res;
+}
+
+token.getSecrets = getSecrets;
+
+/**
+ * Parses a keyring from its string representation, used in environment variables.
+ * The string has the format: "{keyId}:{secret},{keyId}:{secret}"
+ * @Arguments
+ *  - str - the keyring string
+ *  - signKeyId - the id of the key used to sign tokens. Defaults to the first key.
+ * */
+token.parseKeyring = (str, signKeyId) => {
+  if (typeof str !== 'string' || !str) throw new Error('Quty token: keyring string is required');
+  let keyring = {
+    sign: signKeyId || null,
+    keys: {}
+  };
+  let items = str.split(',');
+  for (let i = 0, len = items.length; i < len; i++) {
+    let item = items[i].trim();
+    if (!item) continue;
+    let idx = item.indexOf(':');
+    if (idx <= 0 || idx === item.length - 1) throw new Error(`Quty token: invalid keyring key: ${item}`);
+    let keyId = item.substr(0, idx);
+    keyring.keys[keyId] = item.substr(idx + 1);
+    if (!keyring.sign) keyring.sign = keyId;
+  }
+  if (typeof keyring.keys[keyring.sign] !== 'string') throw new Error(`Quty token: keyring signing key ${keyring.sign} not found`);
+  return keyring;
+};
+
+/**
+ * Verifies the signature of the token data with the given key.
+ * HMAC tokens can only be verified with secret strings and asymmetric tokens with asymmetric keys,
+ * so that a public key can never be used as an HMAC secret.
+ * */
+function verifySignature(key, version, alg, base64Data, base64Sign) {
+  if (version === HMAC_TOKEN_VERSION) {
+    if (typeof key !== 'string' || !key) return false;
+    let currentSign = crypto.createHmac(TOKEN_HASH_ALG, key).update(base64Data).digest('base64');
+    return base64Sign === currentSign;
+  }
+  if (!isAsymmetricKey(key)) return false;
+  let keyObj = getKeyObject(key);
+  if (!keyObj.publicKey || keyObj.alg !== alg) return false;
+  return crypto.verify(keyObj.digest, Buffer.from(base64Data), keyObj.publicKey, Buffer.from(base64Sign, 'base64'));
+}
+
+/**
+ * Returns the crypto key objects and signing algorithm of an asymmetric key, caching them.
+ * The public key is derived from the private key, if not provided.
+ * */
+function getKeyObject(key) {
+  let keyObj = keyObjects.get(key);
+  if (keyObj) return keyObj;
+  let privateKey = key.privateKey ? toKeyObject(key.privateKey, true) : null,
+    publicKey = key.publicKey ? toKeyObject(key.publicKey, false) : (privateKey ? crypto.createPublicKey(privateKey) : null),
+    keyType = (publicKey || privateKey).asymmetricKeyType,
+    algorithm = KEY_ALGORITHMS[keyType];
+  if (!algorithm) throw new Error(`Quty token: unsupported key type ${keyType}`);
+  keyObj = {
+    privateKey,
+    publicKey,
+    alg: algorithm.alg,
+    digest: algorithm.digest
+  };
+  keyObjects.set(key, keyObj);
+  return keyObj;
+}
+
+function toKeyObject(value, isPrivate) {
+  if (value instanceof crypto.KeyObject) return value;
+  return isPrivate ? crypto.createPrivateKey(value) : crypto.createPublicKey(value);
+}
+
+/**
+ * Checks if the given key is an asymmetric key object {privateKey, publicKey}
+ * */
+function isAsymmetricKey(key) {
+  return typeof key === 'object' && key !== null && !!(key.privateKey || key.publicKey);
+}
+
+/**
+ * Checks if the given secret is a keyring.
+ * */
+function isKeyring(secret) {
+  return typeof secret === 'object' && secret && typeof secret.keys === 'object' && secret.keys;
+}
+
+/**
+ * Verifies if the given grants allow the specified right on a channel.
+ * Clients that subscribe to a channel pattern (eg: orders.>) must be granted
+ * every channel the pattern matches (eg: by an "orders.>" grant, but not by "orders.*")
+ * @Arguments
+ *  - grants - the {channelPattern:rights} map found in a HUB token's _g
+ *  - channel - the channel name (or pattern) to check
+ *  - right - the right to check (see token.GRANT)
+ * */
+token.isGranted = (grants, channel, right) => {
+  if (typeof grants !== 'object' || !grants) return false;
+  if (typeof channel !== 'string' || !channel) return false;
+  let patterns = Object.keys(grants),
+    isPattern = ChannelHub.isPattern(channel);
+  for (let i = 0, len = patterns.length; i < len; i++) {
+    let pattern = patterns[i],
+      rights = grants[pattern];
+    if (typeof rights !== 'string' || rights.indexOf(right) === -1) continue;
+    if (pattern === channel) return true;
+    if (isPattern ? ChannelHub.coversPattern(pattern, channel) : ChannelHub.matchPattern(pattern, channel)) return true;
+  }
+  return false;
+};
+
+token.GRANT = {
+  READ: 'r',
+  WRITE: 'w'
+};
+
 token.TYPE = {
   HUB: 1,
   CLUSTER: 2,
@@ -4,14 +4,22 @@
  * */
 const safeJsonStringify = require('safe-json-stringify'),
   crypto = require('crypto'),
+  fs = require('fs'),
   dns = require('dns'),
   url = require('url'),
   qs = require('querystring'),
   http = require('http'),
-  https = require('https');
+  https = require('https'),
+  codec = require('./codec'),
+  events = require('./events');
 const HTTP_TIMEOUT = 3000;
 const MAX_SEND_SEQ = 100;
 const HEARTBEAT_TIMER = 10000;
+const BINARY_EVENT_SEPARATOR = 124; // the "|" char code, used in binary frames
+const MAX_BINARY_EVENT_LENGTH = 32; // the maximum length of an event name in binary frames
+const MAX_PEEK_LENGTH = 32; // the number of chars we look at, when looking for the request id of a raw message
+const BATCH_DELAY = 5; // the default number of milliseconds we collect events for, before sending a batch frame
+const BATCH_SIZE = 64 * 1024; // the default (estimated) number of bytes after which we send a batch frame right away
 
 let ALPHA_NUMERIC_CHARS = "AaBbCcDdEeFfGgHhIiJjKkLlMmNnOoPpQqRrSsTtUuVvWwXxYyZz1234567890",
   RANDOM_STRING = '';
@@ -73,6 +81,35 @@ util.resolveHostname = (hostname) => {
   });
 };
 
+/**
+ * Resolves the SRV records of the given name (eg: _quty._tcp.quty.app.svc.cluster.local),
+ * returning an array of {name, port, priority, weight} records, ordered by util.sortSrvRecords
+ * */
+util.resolveSrv = (name) => {
+  return new Promise((resolve, reject) => {
+    dns.resolveSrv(name, (err, records) => {
+      if (err) return reject(err);
+      resolve(util.sortSrvRecords(records || []));
+    });
+  });
+};
+
+/**
+ * Orders SRV records by priority (lowest first) and, within the same priority, by weight (highest first).
+ * Note:
+ * RFC 2782 uses priority and weight to pick ONE target, with a weighted random selection.
+ * Cluster nodes form a full mesh and connect to every node, so all the records are used
+ * and their priority and weight only set the order we connect to them in. The order is deterministic.
+ * */
+util.sortSrvRecords = (records) => {
+  return records.slice().sort((a, b) => {
+    if ((a.priority || 0) !== (b.priority || 0)) return (a.priority || 0) - (b.priority || 0);
+    if ((a.weight || 0) !== (b.weight || 0)) return (b.weight || 0) - (a.weight || 0);
+    if (a.name !== b.name) return a.name < b.name ? -1 : 1;
+    return (a.port || 0) - (b.port || 0);
+  });
+};
+
 /**
  * Performs a HTTP(s) request to the specified URL, expects JSON result
  * and returns a promise resolving with the result.
@@ -171,12 +208,83 @@ util.fetch = (target, opt = {}) => {
   });
 };
 
+/**
+ * Returns a copy of the TLS configuration, with the cert, key, ca and pfx file paths replaced by the contents of the files.
+ * Components read their TLS configuration once, when they are created, so that (re)connects do not read files.
+ * Throws an error if a file cannot be read.
+ * @Arguments
+ *  - opt - the TLS configuration (see util.getTlsOptions)
+ * */
+util.readTlsConfig = (opt) => {
+  if (typeof opt !== 'object' || !opt) return opt;
+  let res = Object.assign({}, opt);
+  ['cert', 'key', 'ca', 'pfx'].forEach((key) => {
+    if (typeof res[key] === 'undefined' || res[key] === null) {
+      delete res[key];
+      return;
+    }
+    res[key] = (res[key] instanceof Array) ? res[key].map(readTlsFile) : readTlsFile(res[key]);
+  });
+  return res;
+};
+
+/**
+ * Builds the TLS options used by HTTPS servers and secure websocket clients.
+ * The cert, key, ca and pfx values can be either PEM contents or paths to the files containing them.
+ * @Arguments
+ *  - opt.cert, opt.key, opt.ca, opt.pfx, opt.passphrase - the TLS certificate configuration
+ *  - opt.verifyClient - (server only) if set to true, only clients with a certificate signed by opt.ca can connect
+ *  - opt.verifyHostname=true - (client only) if set to false, we do not verify that the server certificate matches the hostname/ip
+ *  - opt.rejectUnauthorized=true - (client only) if set to false, we accept servers with certificates not signed by opt.ca
+ *  - isServer - if set to true, we build the options for a HTTPS server.
+ * Returns null if no TLS configuration is provided.
+ * */
+util.getTlsOptions = (opt, isServer) => {
+  if (typeof opt !== 'object' || !opt) return null;
+  let res = util.readTlsConfig(opt);
+  delete res.verifyClient;
+  delete res.verifyHostname;
+  if (isServer) {
+    res.requestCert = (opt.verifyClient === true);
+    res.rejectUnauthorized = (opt.verifyClient === true);
+  } else {
+    res.rejectUnauthorized = (opt.rejectUnauthorized !== false);
+    if (opt.verifyHostname === false) {
+      res.checkServerIdentity = () => undefined;
+    }
+  }
+  return res;
+};
+
+/**
+ * Checks if the given value is a binary payload (Buffer, TypedArray, DataView or ArrayBuffer)
+ * */
+util.isBinary = (data) => {
+  if (typeof data !== 'object' || !data) return false;
+  return Buffer.isBuffer(data) || ArrayBuffer.isView(data) || data instanceof ArrayBuffer;
+};
+
+/**
+ * Converts the given binary payload to a Buffer, without copying it.
+ * */
+util.toBuffer = (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return Buffer.from(data);
+};
+
 /**
  * Utility function that will send an event to the specific scoket,
  * with the specified data.
  * The protocol we use to send data is:
  * "{event}|{stringData}"
  * In the case of data being an object, it will be stringified.
+ * If the data is (or contains) binary payloads (see util.isBinary), we send a binary frame instead:
+ * "{event}|" + UInt32BE(jsonLength) + {json} + [UInt32BE(binaryLength) + {binary}]...
+ * WHERE each binary payload is replaced in the json by {"_qb": index}
+ * Note: sockets that have socket.binary=false (eg: Server-Sent Events) receive text frames instead,
+ * WHERE each binary payload is replaced in the json by {"_qb64": base64}
+ * Note: sockets that have a socket.codec other than JSON (see lib/codec.js) receive codec frames instead.
  * @Arguments
  *  - socket - the raw socket object
  *  - event - an event name/number
@@ -188,21 +296,162 @@ let sendSeq = 0;
 util.sendSocketEvent = (socket, event, data, fn) => {
   if (typeof event === 'number') event = event.toString();
   if (typeof event !== 'string' || !event) return false;
+  // Any queued events must go out first, so that we keep the order of events.
+  if (socket.__batch && socket.__batch.items.length > 0) util.flushSocketEvents(socket);
+  let payload,
+    codecObj = (socket.codec && socket.codec !== codec.JSON) ? codec.get(socket.codec) : null;
   if (typeof data === 'object' && data) {
-    data._q = sendSeq;// We attach our sequence counter.
-    sendSeq++;
-    if (sendSeq >= MAX_SEND_SEQ) {
-      sendSeq = 0;
-    }
-    data = JSON.stringify(data);
-  } else if (typeof data === 'undefined') data = '';
-  let payload = `${event}|${data}`;
+    if (!util.isBinary(data)) {
+      data._q = sendSeq;// We attach our sequence counter.
+      sendSeq++;
+      if (sendSeq >= MAX_SEND_SEQ) {
+        sendSeq = 0;
+      }
+    }
+  }
+  if (codecObj) {
+    try {
+      payload = codec.encodeFrame(codecObj, event, (typeof data === 'undefined') ? '' : data);
+    } catch (e) {
+      return false;
+    }
+  } else if (typeof data === 'object' && data) {
+    let binaries = [],
+      asBase64 = (socket.binary === false);
+    let jsonData = JSON.stringify(data, function (key, value) {
+      let item = this[key];
+      if (!util.isBinary(item)) return value;
+      item = util.toBuffer(item);
+      if (asBase64) return {
+        _qb64: item.toString('base64')
+      };
+      binaries.push(item);
+      return {
+        _qb: binaries.length - 1
+      };
+    });
+    payload = (binaries.length === 0) ? `${event}|${jsonData}` : encodeBinaryFrame(event, jsonData, binaries);
+  } else {
+    if (typeof data === 'undefined') data = '';
+    payload = `${event}|${data}`;
+  }
   try {
     socket.send(payload, fn);
-    return true;
   } catch (e) {
     return false;
   }
+  if (socket.__stats) {
+    socket.__stats.bytesOut += util.getPayloadSize(payload);
+    util.countSocketEvent(socket.__stats.eventsOut, event);
+  }
+  return true;
+};
+
+/**
+ * Increments the counter of the given event, in a map of {event:count} (see lib/metrics.js)
+ * Since event names come from untrusted clients, only the codes of events.HUB and events.CLUSTER are counted
+ * on their own, everything else is counted under util.UNKNOWN_EVENT, so that the map cannot grow unbounded.
+ * */
+util.UNKNOWN_EVENT = 'unknown';
+const KNOWN_EVENTS = new Set(Object.values(events.HUB).concat(Object.values(events.CLUSTER)));
+util.countSocketEvent = (counts, event) => {
+  if (typeof event === 'number') event = event.toString();
+  if (!KNOWN_EVENTS.has(event)) event = util.UNKNOWN_EVENT;
+  counts[event] = (counts[event] || 0) + 1;
+};
+
+/**
+ * Utility function that queues up an event to be sent to the specific socket as part of a batch frame.
+ * Batching is enabled by setting socket.batch={delay, size}, where
+ *  - delay - the number of milliseconds we collect events for, before sending the batch frame
+ *  - size - the estimated number of bytes after which we send the batch frame right away
+ * The batch frame is a regular events.CLUSTER.BATCH event, with the data {e: [[event, data],...]}
+ * Note: sockets without socket.batch will receive the event right away, using util.sendSocketEvent
+ * @Arguments
+ *  - socket - the raw socket object
+ *  - event - an event name/number
+ *  - data - the data object/string we want to send
+ * */
+util.queueSocketEvent = (socket, event, data) => {
+  let opt = socket.batch;
+  if (typeof opt !== 'object' || !opt) return util.sendSocketEvent(socket, event, data);
+  if (typeof event === 'number') event = event.toString();
+  if (typeof event !== 'string' || !event) return false;
+  if (!socket.__batch) {
+    socket.__batch = {
+      items: [],
+      size: 0,
+      timer: null
+    };
+  }
+  let batch = socket.__batch;
+  batch.items.push([event, data]);
+  batch.size += event.length + estimateSize(data);
+  if (batch.size >= (opt.size || BATCH_SIZE)) {
+    util.flushSocketEvents(socket);
+  } else if (!batch.timer) {
+    batch.timer = setTimeout(() => util.flushSocketEvents(socket), opt.delay || BATCH_DELAY);
+  }
+  return true;
+};
+
+/**
+ * Sends all the events queued up with util.queueSocketEvent, as a single batch frame.
+ * */
+util.flushSocketEvents = (socket) => {
+  let batch = socket.__batch;
+  if (!batch) return false;
+  if (batch.timer) {
+    clearTimeout(batch.timer);
+    batch.timer = null;
+  }
+  let items = batch.items;
+  if (items.length === 0) return true;
+  batch.items = [];
+  batch.size = 0;
+  if (items.length === 1) return util.sendSocketEvent(socket, items[0][0], items[0][1]);
+  if (socket.__stats) {
+    for (let i = 0, len = items.length; i < len; i++) {
+      util.countSocketEvent(socket.__stats.eventsOut, items[i][0]);
+    }
+  }
+  return util.sendSocketEvent(socket, events.CLUSTER.BATCH, {
+    e: items
+  });
+};
+
+/**
+ * Drops the events queued up with util.queueSocketEvent, once the socket is closed.
+ * */
+util.discardSocketEvents = (socket) => {
+  let batch = socket.__batch;
+  if (!batch) return false;
+  if (batch.timer) {
+    clearTimeout(batch.timer);
+    batch.timer = null;
+  }
+  batch.items = [];
+  batch.size = 0;
+  return true;
+};
+
+/**
+ * Unpacks a parsed batch event (see util.queueSocketEvent), returning the array of events it contains.
+ * Any other event is returned as a single-item array.
+ * */
+util.unpackSocketEvents = (p) => {
+  if (p.event !== events.CLUSTER.BATCH) return [p];
+  let items = (typeof p.data === 'object' && p.data && p.data.e instanceof Array) ? p.data.e : [],
+    res = [];
+  for (let i = 0, len = items.length; i < len; i++) {
+    let item = items[i];
+    if (!(item instanceof Array) || typeof item[0] !== 'string' || !item[0]) continue;
+    res.push({
+      event: item[0],
+      data: (item[1] === null || typeof item[1] === 'undefined') ? '' : item[1]
+    });
+  }
+  return res;
 };
 
 /**
@@ -212,6 +461,8 @@ util.sendSocketEvent = (socket, event, data, fn) => {
  * WHERE
  * - event - the number/string representing the incoming event
  * - payload - a stringified object/ raw string/number
+ * OR binary frames (Buffers), as described in util.sendSocketEvent
+ * OR codec frames (Buffers), as described in lib/codec.js
  * RETURNS:
  *  {
  *    "event": "",  // the event name
@@ -221,6 +472,8 @@ util.sendSocketEvent = (socket, event, data, fn) => {
  *  returns false for invalid event
  * */
 util.parseSocketEvent = (data) => {
+  if (codec.isFrame(data)) return parseCodecFrame(data);
+  if (Buffer.isBuffer(data)) return parseBinaryFrame(data);
   if (typeof data !== 'string' || !data) return false;
   try {
     let barIdx = data.indexOf('|');
@@ -244,5 +497,168 @@ util.parseSocketEvent = (data) => {
     return false;
   }
 };
+
+/**
+ * Reads the TLS file at the given path, if the value is not already a PEM string or Buffer.
+ * */
+function readTlsFile(value) {
+  if (typeof value !== 'string' || value.indexOf('-----BEGIN') !== -1) return value;
+  try {
+    return fs.readFileSync(value);
+  } catch (e) {
+    throw new Error(`Quty: could not read TLS file: ${value} [${e.message}]`);
+  }
+}
+
+/**
+ * Returns a rough estimate of the number of bytes the data will use once serialized.
+ * We only look at the first level of objects, since messages are usually placed there.
+ * */
+function estimateSize(data) {
+  if (typeof data === 'string') return data.length;
+  if (typeof data !== 'object' || !data) return 8;
+  if (util.isBinary(data)) return data.byteLength;
+  let size = 2;
+  for (let key in data) {
+    let value = data[key];
+    size += key.length + 4;
+    if (typeof value === 'string') {
+      size += value.length;
+    } else if (util.isBinary(value)) {
+      size += value.byteLength;
+    } else {
+      size += 8;
+    }
+  }
+  return size;
+}
+
+/**
+ * Returns the {event, r} of a raw socket message, without parsing its payload.
+ * It is used to describe messages that are malformed or too large to be parsed.
+ * The request id (r) is only found when it is the first property of the event's data (eg: M|{"r":1,"c":..}),
+ * which is how publishers send it. Codec frames are only used between nodes, so we do not look for it there.
+ * The event and/or r are null if they cannot be found.
+ * */
+util.peekSocketEvent = (data) => {
+  let res = {
+    event: null,
+    r: null
+  };
+  let head;
+  if (Buffer.isBuffer(data)) {
+    if (codec.isFrame(data)) {
+      res.event = data.toString('ascii', 3, 3 + data[2]);
+      return res;
+    }
+    let barIdx = data.indexOf(BINARY_EVENT_SEPARATOR);
+    if (barIdx <= 0 || barIdx > MAX_BINARY_EVENT_LENGTH) return res;
+    res.event = data.toString('ascii', 0, barIdx);
+    // binary frames have the json length before the json, we read bytes as latin1 so that they are not merged.
+    head = data.toString('latin1', barIdx + 1, barIdx + 1 + 4 + MAX_PEEK_LENGTH);
+  } else if (typeof data === 'string') {
+    let barIdx = data.indexOf('|');
+    if (barIdx <= 0 || barIdx > MAX_BINARY_EVENT_LENGTH) return res;
+    res.event = data.substr(0, barIdx);
+    head = data.substr(barIdx + 1, MAX_PEEK_LENGTH);
+  } else {
+    return res;
+  }
+  let match = head.match(/^(?:[\s\S]{4})?\s*{\s*"r"\s*:\s*(\d+)/);
+  if (match) res.r = parseInt(match[1], 10);
+  return res;
+};
+
+/**
+ * Returns the size in bytes of a raw socket message.
+ * */
+util.getPayloadSize = (data) => {
+  if (typeof data === 'string') return Buffer.byteLength(data);
+  if (util.isBinary(data)) return data.byteLength;
+  if (data instanceof Array) { // fragmented binary messages
+    let size = 0;
+    for (let i = 0, len = data.length; i < len; i++) {
+      size += data[i].byteLength;
+    }
+    return size;
+  }
+  return 0;
+};
+
+/**
+ * Encodes a binary frame, as described in util.sendSocketEvent
+ * */
+function encodeBinaryFrame(event, jsonData, binaries) {
+  let jsonBuf = Buffer.from(jsonData, 'utf8'),
+    items = [Buffer.from(`${event}|`, 'ascii')],
+    header = Buffer.alloc(4);
+  header.writeUInt32BE(jsonBuf.length, 0);
+  items.push(header, jsonBuf);
+  for (let i = 0, len = binaries.length; i < len; i++) {
+    let size = Buffer.alloc(4);
+    size.writeUInt32BE(binaries[i].length, 0);
+    items.push(size, binaries[i]);
+  }
+  return Buffer.concat(items);
+}
+
+/**
+ * Parses a binary frame, as described in util.sendSocketEvent
+ * */
+function parseBinaryFrame(data) {
+  try {
+    let barIdx = data.indexOf(BINARY_EVENT_SEPARATOR);
+    if (barIdx <= 0 || barIdx > MAX_BINARY_EVENT_LENGTH) return false;
+    let res = {
+      event: data.toString('ascii', 0, barIdx)
+    };
+    let offset = barIdx + 1,
+      jsonLength = data.readUInt32BE(offset);
+    offset += 4;
+    if (offset + jsonLength > data.length) return false;
+    let jsonData = data.toString('utf8', offset, offset + jsonLength),
+      binaries = [];
+    offset += jsonLength;
+    while (offset < data.length) {
+      let size = data.readUInt32BE(offset);
+      offset += 4;
+      if (offset + size > data.length) return false;
+      binaries.push(data.slice(offset, offset + size));
+      offset += size;
+    }
+    let parsed = JSON.parse(jsonData, (key, value) => {
+      if (typeof value !== 'object' || !value || typeof value._qb !== 'number') return value;
+      if (!binaries[value._qb]) throw new Error('Invalid binary reference');
+      return binaries[value._qb];
+    });
+    if (typeof parsed === 'object' && parsed && !Buffer.isBuffer(parsed) && typeof parsed._q === 'number') {
+      res.seq = parsed._q;
+      delete parsed._q;
+    }
+    res.data = parsed;
+    return res;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parses a codec frame, as described in lib/codec.js
+ * */
+function parseCodecFrame(data) {
+  try {
+    let res = codec.decodeFrame(data),
+      parsed = res.data;
+    if (typeof parsed === 'object' && parsed && !Buffer.isBuffer(parsed) && typeof parsed._q === 'number') {
+      res.seq = parsed._q;
+      delete parsed._q;
+    }
+    if (parsed === null || typeof parsed === 'undefined') res.data = '';
+    return res;
+  } catch (e) {
+    return false;
+  }
+}
+
 util.HEARTBEAT_TIMER = HEARTBEAT_TIMER;
 module.exports = util;
@@ -12,10 +12,13 @@ process.env.CLUSTER_DISCOVERY_SERVICE = 'localhost';
 const config = require('./config/app');
 const quty = require('./index.js'); // change this with require('quty');
 if (config.debug) quty.log.setLevel(config.debug);
+if (config.log.format) quty.log.setFormat(config.log.format);
+if (config.log.file) quty.log.addTransport({file: config.log.file});
 
 
 (async () => {
   const cluster = new quty.Cluster(config.cluster);
+  let hub = null;
 
   /* Start the internal cluster server */
   try {
@@ -26,5 +29,30 @@ if (config.debug) quty.log.setLevel(config.debug);
   }
   cluster.on('ready', async () => {
     console.log('Quty started');
+    /* Start the public client-facing hub server */
+    hub = new quty.Hub(config.hub, cluster);
+    try {
+      await hub.listen();
+    } catch (e) {
+      console.error(e);
+      return process.exit(1);
+    }
+  });
+
+  /* Gracefully shut down: disconnect our clients first, then leave the cluster */
+  let isClosing = false;
+  process.on('SIGTERM', async () => {
+    if (isClosing) return;
+    isClosing = true;
+    try {
+      if (hub) await hub.close();
+      await cluster.close({
+        drainTimeout: config.cluster.drainTimeout
+      });
+    } catch (e) {
+      console.error(e);
+      return process.exit(1);
+    }
+    process.exit(0);
   });
 })();
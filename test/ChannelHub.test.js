@@ -0,0 +1,196 @@
+'use strict';
+const {describe, it} = require('node:test'),
+  assert = require('node:assert'),
+  ChannelHub = require('../lib/ChannelHub');
+
+describe('ChannelHub', () => {
+
+  describe('sendMessage', () => {
+
+    it('does not relay node-forwarded messages to other nodes', () => {
+      let hub = new ChannelHub(),
+        sent = [];
+      hub.subscribeNode('node2', 'news');
+      hub.on('node.message', (channel, sid) => sent.push(sid));
+      assert.strictEqual(hub.sendMessage('news', 'hi', 'node2', {
+        nodes: false
+      }), true);
+      assert.deepStrictEqual(sent, []);
+      assert.strictEqual(hub.sendMessage('news', 'hi'), true);
+      assert.deepStrictEqual(sent, ['node2']);
+    });
+  });
+
+  describe('patterns', () => {
+
+    it('detects channel patterns', () => {
+      assert.strictEqual(ChannelHub.isPattern('orders.*'), true);
+      assert.strictEqual(ChannelHub.isPattern('orders.>'), true);
+      assert.strictEqual(ChannelHub.isPattern('orders.*.items'), true);
+      assert.strictEqual(ChannelHub.isPattern('orders.eu'), false);
+      assert.strictEqual(ChannelHub.isPattern('orders.>.items'), false);
+    });
+
+    it('matches "*" against exactly one segment', () => {
+      assert.strictEqual(ChannelHub.matchPattern('orders.*', 'orders.eu'), true);
+      assert.strictEqual(ChannelHub.matchPattern('orders.*.items', 'orders.eu.items'), true);
+      assert.strictEqual(ChannelHub.matchPattern('orders.*', 'orders.eu.items'), false);
+      assert.strictEqual(ChannelHub.matchPattern('orders.*', 'orders'), false);
+      assert.strictEqual(ChannelHub.matchPattern('orders.*', 'orders.'), false);
+    });
+
+    it('matches ">" against one or more trailing segments', () => {
+      assert.strictEqual(ChannelHub.matchPattern('orders.>', 'orders.eu'), true);
+      assert.strictEqual(ChannelHub.matchPattern('orders.>', 'orders.eu.items'), true);
+      assert.strictEqual(ChannelHub.matchPattern('orders.>', 'orders'), false);
+      assert.strictEqual(ChannelHub.matchPattern('orders.>', 'users.eu'), false);
+    });
+
+    it('routes messages to pattern subscribers once', () => {
+      let hub = new ChannelHub(),
+        received = [];
+      hub.on('client.message', (channel, cid) => received.push(cid));
+      hub.subscribeClient('node1', 'client1', 'orders.*');
+      hub.subscribeClient('node1', 'client1', 'orders.eu');
+      hub.subscribeClient('node1', 'client2', 'orders.>');
+      assert.strictEqual(hub.sendMessage('orders.eu', 'a'), true);
+      assert.deepStrictEqual(received.sort(), ['client1', 'client2']);
+      received = [];
+      assert.strictEqual(hub.sendMessage('orders.eu.items', 'b'), true);
+      assert.deepStrictEqual(received, ['client2']);
+      assert.strictEqual(hub.sendMessage('orders.*', 'c'), false);
+    });
+
+    it('stops routing once the pattern is removed', () => {
+      let hub = new ChannelHub();
+      hub.subscribeNode('node2', 'orders.>');
+      assert.strictEqual(hub.sendMessage('orders.eu', 'a', null, {
+        broadcast: false
+      }), true);
+      hub.unsubscribeNode('node2', 'orders.>');
+      assert.deepStrictEqual(hub.patterns, {});
+      assert.strictEqual(hub.sendMessage('orders.eu', 'a', null, {
+        broadcast: false
+      }), false);
+    });
+  });
+
+  describe('client owners', () => {
+
+    it('tracks the node each client is connected to', () => {
+      let hub = new ChannelHub();
+      assert.strictEqual(hub.addClientNode('node1', 'client1'), true);
+      assert.strictEqual(hub.addClientNode('node1', 'client1'), false);
+      hub.addClientNode('node2', 'client2');
+      assert.strictEqual(hub.getClientNode('client1'), 'node1');
+      assert.deepStrictEqual(hub.getNodeClients('node2'), ['client2']);
+      assert.strictEqual(hub.removeClientNode('client1', 'node2'), false);
+      assert.strictEqual(hub.removeClientNode('client1', 'node1'), true);
+      assert.strictEqual(hub.getClientNode('client1'), null);
+    });
+
+    it('prefers the owner over the client presence', () => {
+      let hub = new ChannelHub();
+      hub.subscribeClient('node1', 'client1', 'news');
+      assert.strictEqual(hub.getClientNode('client1'), 'node1');
+      hub.addClientNode('node2', 'client1');
+      assert.strictEqual(hub.getClientNode('client1'), 'node2');
+    });
+
+    it('replaces the clients of a node', () => {
+      let hub = new ChannelHub(),
+        removed = [];
+      hub.on('client.disconnect', (cid) => removed.push(cid));
+      hub.syncNodeClients('node2', ['client1', 'client2']);
+      hub.syncNodeClients('node2', ['client2', 'client3']);
+      assert.deepStrictEqual(hub.getNodeClients('node2').sort(), ['client2', 'client3']);
+      assert.deepStrictEqual(removed, ['client1']);
+      hub.removeNode('node2');
+      assert.deepStrictEqual(hub.getNodeClients('node2'), []);
+    });
+  });
+
+  describe('history', () => {
+
+    it('replays the messages that came after a sequence number', () => {
+      let hub = new ChannelHub({
+        history: {
+          size: 10
+        }
+      });
+      hub.subscribeClient('node1', 'client1', 'news');
+      hub.sendMessage('news', 'a');
+      hub.sendMessage('news', 'b');
+      hub.sendMessage('news', 'c');
+      assert.deepStrictEqual(hub.getHistory('news').map((item) => item.m), ['a', 'b', 'c']);
+      assert.deepStrictEqual(hub.getHistory('news', 1).map((item) => item.m), ['b', 'c']);
+      assert.deepStrictEqual(hub.getHistory('news', 3), []);
+      // a sequence that is ahead of the channel means the history was reset.
+      assert.deepStrictEqual(hub.getHistory('news', 99).map((item) => item.q), [1, 2, 3]);
+    });
+
+    it('keeps only the last messages of a channel', () => {
+      let hub = new ChannelHub({
+        history: {
+          size: 2
+        }
+      });
+      hub.subscribeClient('node1', 'client1', 'news');
+      for (let i = 1; i <= 5; i++) hub.sendMessage('news', `m${i}`);
+      assert.deepStrictEqual(hub.getHistory('news').map((item) => item.q), [4, 5]);
+    });
+
+    it('removes expired messages', () => {
+      let hub = new ChannelHub({
+        history: {
+          size: 10,
+          ttl: 1000
+        }
+      });
+      hub.subscribeClient('node1', 'client1', 'news');
+      hub.sendMessage('news', 'old');
+      hub.history.news.items[0].t -= 2000;
+      hub.sendMessage('news', 'new');
+      assert.deepStrictEqual(hub.getHistory('news').map((item) => item.m), ['new']);
+    });
+
+    it('removes the history of idle and unused channels', (t) => {
+      t.mock.timers.enable({
+        apis: ['Date'],
+        now: 1000
+      });
+      let hub = new ChannelHub({
+          history: {
+            size: 10,
+            ttl: 1000
+          }
+        }),
+        noTtl = new ChannelHub({
+          history: {
+            size: 10
+          }
+        });
+      for (let h of [hub, noTtl]) {
+        h.subscribeClient('node1', 'client1', 'idle');
+        h.subscribeClient('node1', 'client1', 'active');
+        h.sendMessage('idle', 'a');
+        h.unsubscribeClient('client1', 'idle');
+      }
+      // the next message sweeps the history of all channels, once the sweep interval passed.
+      t.mock.timers.tick(61000);
+      for (let h of [hub, noTtl]) {
+        h.sendMessage('active', 'b');
+        assert.strictEqual(typeof h.history.idle, 'undefined');
+        assert.strictEqual(h.history.active.count, 1);
+      }
+    });
+
+    it('does not keep history when disabled', () => {
+      let hub = new ChannelHub();
+      hub.subscribeClient('node1', 'client1', 'news');
+      hub.sendMessage('news', 'a');
+      assert.deepStrictEqual(hub.getHistory('news'), []);
+      assert.deepStrictEqual(hub.history, {});
+    });
+  });
+});
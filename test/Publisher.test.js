@@ -0,0 +1,97 @@
+'use strict';
+const {describe, it, before, after} = require('node:test'),
+  assert = require('node:assert'),
+  quty = require('../index');
+
+const CLUSTER_PORT = 23214,
+  SECRET = 'publisher-secret';
+quty.log.setLevel('ERROR');
+
+describe('Publisher', () => {
+  let cluster, pub;
+
+  before(async () => {
+    cluster = new quty.Cluster({
+      port: CLUSTER_PORT,
+      auth: SECRET,
+      maxMessageSize: 1024,
+      history: {
+        size: 10
+      },
+      discovery: {}
+    });
+    let isReady = new Promise((resolve) => cluster.once('ready', resolve));
+    await cluster.listen();
+    await isReady;
+    pub = new quty.Publisher({
+      url: `127.0.0.1:${CLUSTER_PORT}`,
+      auth: SECRET,
+      reconnect: false
+    });
+    await pub.connect();
+  });
+
+  after(async () => {
+    await cluster.close({
+      drainTimeout: 0
+    });
+  });
+
+  it('calls the callback with the acknowledgement instead of returning a promise', async () => {
+    let res = await new Promise((resolve, reject) => {
+      let result = pub.send('news', 'hello', (err, data) => err ? reject(err) : resolve(data));
+      assert.strictEqual(result, undefined);
+    });
+    assert.deepStrictEqual(res, {
+      routed: false,
+      seq: 0
+    });
+  });
+
+  it('throws right away on invalid channels', () => {
+    assert.throws(() => pub.send('', 'hello'), /channel is required/);
+  });
+
+  it('resolves acknowledged messages with their routing result and sequence', async () => {
+    assert.deepStrictEqual(await pub.send('empty', 'hello'), {
+      routed: false,
+      seq: 0
+    });
+    cluster.subscribeClient('client1', 'acked');
+    assert.deepStrictEqual(await pub.send('acked', 'first'), {
+      routed: true,
+      seq: 1
+    });
+    assert.deepStrictEqual(await pub.send('acked', 'second'), {
+      routed: true,
+      seq: 2
+    });
+    cluster.unsubscribeClient('client1');
+  });
+
+  it('rejects the messages that the cluster could not process', async () => {
+    let tooLarge = pub.send('news', 'x'.repeat(2048)),
+      small = pub.send('news', 'hello');
+    await assert.rejects(tooLarge, (err) => err.code === quty.event.ERROR.PAYLOAD_TOO_LARGE);
+    assert.deepStrictEqual(await small, {
+      routed: false,
+      seq: 0
+    });
+  });
+
+  it('rejects the pending acknowledgements once disconnected', async () => {
+    let routeMessage = cluster.hub.routeMessage;
+    cluster.hub.routeMessage = function () {
+      // the publisher is disconnected before the cluster acknowledges the message.
+      cluster.ws.clients.forEach((socket) => {
+        if (socket.pid) socket.terminate();
+      });
+      return routeMessage.apply(this, arguments);
+    };
+    try {
+      await assert.rejects(pub.send('news', 'hello'), /disconnected/);
+    } finally {
+      cluster.hub.routeMessage = routeMessage;
+    }
+  });
+});
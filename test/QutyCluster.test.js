@@ -0,0 +1,383 @@
+'use strict';
+const {describe, it, before, after} = require('node:test'),
+  assert = require('node:assert'),
+  http = require('http'),
+  quty = require('../index'),
+  token = require('../lib/token');
+
+const CLUSTER_PORT = 23212,
+  OPEN_CLUSTER_PORT = 23213,
+  NODE_PORTS = [23215, 23216, 23217, 23218],
+  SECRET = 'cluster-secret';
+quty.log.setLevel('ERROR');
+
+/**
+ * Calls the HTTP API of the cluster listening on the given port, resolving with {status, body}
+ * */
+function request(port, method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    let req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: Object.assign({
+        'Content-Type': 'application/json'
+      }, headers)
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          parsed = data;
+        }
+        resolve({
+          status: res.statusCode,
+          body: parsed
+        });
+      });
+    });
+    req.once('error', reject);
+    if (typeof body !== 'undefined') req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+async function startCluster(config) {
+  let cluster = new quty.Cluster(config);
+  let isReady = new Promise((resolve) => cluster.once('ready', resolve));
+  await cluster.listen();
+  await isReady;
+  return cluster;
+}
+
+function bearer(t) {
+  return {
+    Authorization: `Bearer ${t}`
+  };
+}
+
+describe('QutyCluster', () => {
+  let cluster, openCluster, clientToken;
+
+  before(async () => {
+    cluster = await startCluster({
+      port: CLUSTER_PORT,
+      auth: SECRET,
+      rateLimit: {
+        publisher: {
+          rate: 1,
+          burst: 20
+        },
+        channel: {
+          rate: 1,
+          burst: 2
+        }
+      },
+      discovery: {}
+    });
+    openCluster = await startCluster({
+      port: OPEN_CLUSTER_PORT,
+      discovery: {}
+    });
+    clientToken = token.create({}, {
+      secret: SECRET,
+      type: token.TYPE.CLUSTER_CLIENT,
+      id: 'publisher1'
+    });
+  });
+
+  after(async () => {
+    await cluster.close({
+      drainTimeout: 0
+    });
+    await openCluster.close({
+      drainTimeout: 0
+    });
+  });
+
+  describe('HTTP API', () => {
+
+    it('publishes with a CLUSTER_CLIENT token', async () => {
+      let res = await request(CLUSTER_PORT, 'POST', '/publish', {
+        channel: 'news',
+        message: 'hello'
+      }, bearer(clientToken));
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body, {
+        routed: false
+      });
+    });
+
+    it('publishes with the auth secret', async () => {
+      let body = {
+        channel: 'news',
+        message: 'hello'
+      };
+      let res = await request(CLUSTER_PORT, 'POST', '/publish', body, {
+        'X-Quty-Secret': SECRET
+      });
+      assert.strictEqual(res.status, 200);
+      res = await request(CLUSTER_PORT, 'POST', '/publish', body, {
+        'X-Quty-Secret': 'wrong-secret'
+      });
+      assert.strictEqual(res.status, 401);
+      res = await request(CLUSTER_PORT, 'GET', '/admin/channels', undefined, {
+        'X-Quty-Secret': SECRET
+      });
+      assert.strictEqual(res.status, 200);
+    });
+
+    it('rejects querystring tokens and other token types', async () => {
+      let body = {
+        channel: 'news',
+        message: 'hello'
+      };
+      let res = await request(CLUSTER_PORT, 'POST', `/publish?token=${encodeURIComponent(clientToken)}`, body);
+      assert.strictEqual(res.status, 401);
+      let hubToken = token.create({}, {
+        secret: SECRET,
+        type: token.TYPE.HUB
+      });
+      res = await request(CLUSTER_PORT, 'POST', '/publish', body, bearer(hubToken));
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('rejects revoked tokens', async () => {
+      let t = token.create({}, {
+        secret: SECRET,
+        type: token.TYPE.CLUSTER_CLIENT,
+        tokenId: 'revoked-token'
+      });
+      cluster.revokeToken('revoked-token');
+      let res = await request(CLUSTER_PORT, 'POST', '/kick', {
+        cid: 'client1'
+      }, bearer(t));
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('is disabled without an auth secret', async () => {
+      let t = token.create({}, {
+        type: token.TYPE.CLUSTER_CLIENT
+      });
+      let res = await request(OPEN_CLUSTER_PORT, 'POST', '/publish', {
+        channel: 'news',
+        message: 'hello'
+      }, bearer(t));
+      assert.strictEqual(res.status, 401);
+      res = await request(OPEN_CLUSTER_PORT, 'POST', '/publish', {
+        channel: 'news',
+        message: 'hello'
+      });
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('only reports kicks of known clients as routed', async () => {
+      let res = await request(CLUSTER_PORT, 'POST', '/kick', {
+        cid: 'unknown'
+      }, bearer(clientToken));
+      assert.deepStrictEqual(res.body, {
+        routed: false
+      });
+      cluster.hub.addPresence(cluster.id, 'client1', 'news');
+      res = await request(CLUSTER_PORT, 'POST', '/kick', {
+        cid: 'client1'
+      }, bearer(clientToken));
+      assert.deepStrictEqual(res.body, {
+        routed: true
+      });
+    });
+
+    it('throttles channels with 429', async () => {
+      let statuses = [];
+      for (let i = 0; i < 3; i++) {
+        let res = await request(CLUSTER_PORT, 'POST', '/publish', {
+          channel: 'limited',
+          message: 'hello'
+        }, bearer(clientToken));
+        statuses.push(res.status);
+      }
+      assert.deepStrictEqual(statuses, [200, 200, 429]);
+    });
+
+    it('throttles publishers by their token id', async () => {
+      let t = token.create({}, {
+        secret: SECRET,
+        type: token.TYPE.CLUSTER_CLIENT,
+        tokenId: 'busy-token'
+      });
+      let statuses = [];
+      for (let i = 0; i < 21; i++) {
+        let res = await request(CLUSTER_PORT, 'POST', i % 2 ? '/kick' : '/unsubscribe', {
+          cid: 'client1',
+          channel: 'news'
+        }, bearer(t));
+        statuses.push(res.status);
+      }
+      assert.strictEqual(statuses.indexOf(429), 20);
+      let res = await request(CLUSTER_PORT, 'POST', '/kick', {
+        cid: 'client1'
+      }, bearer(clientToken));
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(cluster.getThrottleStats().publisher.keys['busy-token'], 1);
+    });
+  });
+
+  describe('Admin API', () => {
+
+    it('requires an admin token', async () => {
+      let res = await request(CLUSTER_PORT, 'GET', '/admin/channels', undefined, bearer(clientToken));
+      assert.strictEqual(res.status, 403);
+      res = await request(CLUSTER_PORT, 'DELETE', '/admin/channel?channel=news', undefined, bearer(clientToken));
+      assert.strictEqual(res.status, 403);
+      res = await request(CLUSTER_PORT, 'GET', '/admin/channels');
+      assert.strictEqual(res.status, 401);
+      let adminToken = token.create({}, {
+        secret: SECRET,
+        type: token.TYPE.CLUSTER_CLIENT,
+        admin: true
+      });
+      cluster.subscribeClient('client1', 'admin');
+      res = await request(CLUSTER_PORT, 'GET', '/admin/channel?channel=admin', undefined, bearer(adminToken));
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.channel, 'admin');
+      cluster.unsubscribeClient('client1');
+    });
+
+    it('is disabled without an auth secret', async () => {
+      let adminToken = token.create({}, {
+        type: token.TYPE.CLUSTER_CLIENT,
+        admin: true
+      });
+      let res = await request(OPEN_CLUSTER_PORT, 'DELETE', '/admin/client?cid=client1');
+      assert.strictEqual(res.status, 401);
+      res = await request(OPEN_CLUSTER_PORT, 'DELETE', '/admin/channel?channel=news', undefined, bearer(adminToken));
+      assert.strictEqual(res.status, 401);
+    });
+  });
+
+  describe('leaving nodes', () => {
+    let node1, node2;
+
+    before(async () => {
+      node1 = await startCluster({
+        port: NODE_PORTS[0]
+      });
+      node2 = await startCluster({
+        port: NODE_PORTS[1]
+      });
+    });
+
+    after(async () => {
+      await node1.close({
+        drainTimeout: 0
+      });
+      await node2.close({
+        drainTimeout: 0
+      });
+    });
+
+    it('are not added again while they drain', async () => {
+      let url = `127.0.0.1:${NODE_PORTS[1]}`,
+        socket;
+      node1.on('node.add', (s) => {
+        if (s.sid === node2.id) socket = s;
+      });
+      assert.strictEqual(await node1.addNode(url), true);
+      assert.ok(socket);
+      let isRemoved = new Promise((resolve) => node1.once('node.remove', resolve));
+      node1.emit('event', {
+        event: quty.event.CLUSTER.NODE_LEAVE,
+        data: {
+          s: node2.id,
+          t: 60000
+        }
+      }, socket);
+      await isRemoved;
+      assert.deepStrictEqual(node1.nodes, []);
+      assert.strictEqual(await node1.addNode(url), false);
+      node1.emit('event', {
+        event: quty.event.CLUSTER.NODE_STATE,
+        data: {
+          s: node2.id,
+          n: [{
+            sid: node2.id,
+            url
+          }]
+        }
+      }, socket);
+      assert.deepStrictEqual(node1.nodes, []);
+    });
+
+    it('processes the events that came in before the cluster was ready', async () => {
+      let node = new quty.Cluster({
+        port: NODE_PORTS[2],
+        maxReadyAfter: 60000,
+        discovery: {
+          nodes: ['127.0.0.1:1']
+        }
+      });
+      await node.listen();
+      assert.strictEqual(node.ready, false);
+      node.subscribeClient('client1', 'news');
+      node.emit('event', {
+        event: quty.event.CLUSTER.CLIENT_UNSUBSCRIBE,
+        data: {
+          cid: 'client1',
+          c: 'news'
+        }
+      }, {
+        pid: 'publisher1',
+        isAlive: true
+      });
+      assert.strictEqual(node.isClientSubscribed('client1', 'news'), true);
+      await node.close({
+        drainTimeout: 0
+      });
+      assert.strictEqual(node.isClientSubscribed('client1', 'news'), false);
+    });
+  });
+
+  describe('discovery providers', () => {
+
+    it('are called on their own timer', async () => {
+      let node = await startCluster({
+          port: NODE_PORTS[3]
+        }),
+        calls = {
+          slow: 0,
+          fast: 0
+        };
+      try {
+        node.addDiscoveryProvider('slow', () => {
+          calls.slow++;
+          return new Promise(() => {});
+        }, {
+          interval: 10,
+          timeout: 300
+        });
+        node.addDiscoveryProvider('fast', () => {
+          calls.fast++;
+          return [];
+        }, {
+          interval: 10
+        });
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        assert.strictEqual(calls.slow, 1);
+        assert.ok(calls.fast >= 3, `fast provider was called ${calls.fast} times`);
+        node.removeDiscoveryProvider('fast');
+        let fastCalls = calls.fast;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.strictEqual(calls.fast, fastCalls);
+      } finally {
+        await node.close({
+          drainTimeout: 0
+        });
+      }
+    });
+  });
+});
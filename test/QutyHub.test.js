@@ -0,0 +1,200 @@
+'use strict';
+const {describe, it, before, after} = require('node:test'),
+  assert = require('node:assert'),
+  http = require('http'),
+  Ws = require('ws'),
+  quty = require('../index'),
+  util = require('../lib/util');
+
+const CLUSTER_PORT = 23210,
+  HUB_PORT = 23211;
+quty.log.setLevel('ERROR');
+
+/**
+ * Connects a websocket client to the hub, collecting the events it receives.
+ * */
+function connectClient(query = '') {
+  return new Promise((resolve, reject) => {
+    let socket = new Ws(`ws://127.0.0.1:${HUB_PORT}/quty${query}`),
+      received = [];
+    socket.received = received;
+    socket.waitFor = (event) => waitFor(socket, event);
+    socket.on('message', (data) => {
+      received.push(util.parseSocketEvent(data));
+      socket.emit('quty.event');
+    });
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Opens a Server-Sent Events stream to the hub, resolving with the response once the client joined its channels.
+ * */
+function connectStream(query, headers = {}) {
+  return new Promise((resolve, reject) => {
+    let req = http.get(`http://127.0.0.1:${HUB_PORT}/quty/stream${query}`, {
+      headers
+    }, (res) => {
+      let received = [];
+      res.received = received;
+      res.waitFor = (event) => waitFor(res, event);
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        chunk.split('\n\n').forEach((line) => {
+          if (line.indexOf('data: ') !== 0) return;
+          received.push(util.parseSocketEvent(line.substr(6)));
+          res.emit('quty.event');
+        });
+      });
+      res.close = () => req.destroy();
+      resolve(res);
+    });
+    req.once('error', reject);
+  });
+}
+
+function waitFor(socket, event) {
+  return new Promise((resolve, reject) => {
+    let timer = setTimeout(() => reject(new Error(`timed out waiting for ${event}`)), 2000);
+    check();
+    socket.on('quty.event', check);
+
+    function check() {
+      for (let i = 0, len = socket.received.length; i < len; i++) {
+        if (socket.received[i].event !== event) continue;
+        let item = socket.received.splice(i, 1)[0];
+        clearTimeout(timer);
+        socket.removeListener('quty.event', check);
+        return resolve(item.data);
+      }
+    }
+  });
+}
+
+describe('QutyHub', () => {
+  let cluster, hub;
+
+  before(async () => {
+    cluster = new quty.Cluster({
+      port: CLUSTER_PORT,
+      discovery: {}
+    });
+    await cluster.listen();
+    hub = new quty.Hub({
+      port: HUB_PORT,
+      path: '/quty'
+    }, cluster);
+    await hub.listen();
+  });
+
+  after(async () => {
+    await hub.close();
+    await cluster.close({
+      drainTimeout: 0
+    });
+  });
+
+  it('assigns an id to connected clients', async () => {
+    let socket = await connectClient();
+    let info = await socket.waitFor(quty.event.HUB.CLIENT_INFO);
+    assert.strictEqual(typeof info.cid, 'string');
+    assert.ok(hub.getClient(info.cid));
+    socket.close();
+  });
+
+  it('delivers channel messages to subscribed clients', async () => {
+    let socket = await connectClient();
+    let info = await socket.waitFor(quty.event.HUB.CLIENT_INFO);
+    socket.send(`${quty.event.HUB.CHANNEL_JOIN}|{"c":"news"}`);
+    assert.deepStrictEqual(await socket.waitFor(quty.event.HUB.CHANNEL_JOIN), {
+      c: 'news'
+    });
+    assert.strictEqual(cluster.isClientSubscribed(info.cid, 'news'), true);
+    assert.strictEqual(cluster.sendMessage('news', {
+      hello: 'world'
+    }), true);
+    let msg = await socket.waitFor(quty.event.HUB.CHANNEL_MESSAGE);
+    assert.strictEqual(msg.c, 'news');
+    assert.deepStrictEqual(JSON.parse(msg.m), {
+      hello: 'world'
+    });
+    socket.close();
+  });
+
+  it('rejects publishing to channels the client did not join', async () => {
+    let socket = await connectClient();
+    await socket.waitFor(quty.event.HUB.CLIENT_INFO);
+    socket.send(`${quty.event.HUB.CHANNEL_MESSAGE}|{"c":"other","m":"hi"}`);
+    let err = await socket.waitFor(quty.event.HUB.ERROR);
+    assert.strictEqual(err.e, quty.event.HUB.CHANNEL_MESSAGE);
+    assert.strictEqual(err.c, 'other');
+    socket.close();
+  });
+
+  it('sends direct messages to the node that owns the client', async () => {
+    let socket = await connectClient();
+    let info = await socket.waitFor(quty.event.HUB.CLIENT_INFO);
+    assert.strictEqual(cluster.hub.getClientNode(info.cid), cluster.id);
+    assert.strictEqual(cluster.sendToClient(info.cid, 'hello'), true);
+    assert.deepStrictEqual(await socket.waitFor(quty.event.HUB.CLIENT_MESSAGE), {
+      m: 'hello'
+    });
+    assert.strictEqual(cluster.sendToClient('unknown', 'hello'), false);
+    await new Promise((resolve) => {
+      hub.once('client.remove', () => resolve());
+      socket.close();
+    });
+    assert.strictEqual(cluster.hub.getClientNode(info.cid), null);
+    assert.strictEqual(cluster.sendToClient(info.cid, 'hello'), false);
+  });
+
+  it('streams channel messages as Server-Sent Events', async () => {
+    let res = await connectStream('?channels=stream', {
+      origin: 'http://example.com'
+    });
+    assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+    assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+    let info = await res.waitFor(quty.event.HUB.CLIENT_INFO);
+    await res.waitFor(quty.event.HUB.CHANNEL_JOIN);
+    cluster.sendToClient(info.cid, Buffer.from('binary'));
+    assert.deepStrictEqual(await res.waitFor(quty.event.HUB.CLIENT_MESSAGE), {
+      m: {
+        _qb64: Buffer.from('binary').toString('base64')
+      }
+    });
+    res.close();
+  });
+
+  it('only allows the configured stream origins', async () => {
+    hub.config.streamOrigin = ['http://example.com'];
+    try {
+      let res = await connectStream('', {
+        origin: 'http://example.com'
+      });
+      assert.strictEqual(res.headers['access-control-allow-origin'], 'http://example.com');
+      assert.strictEqual(res.headers['vary'], 'Origin');
+      res.close();
+      res = await connectStream('', {
+        origin: 'http://other.com'
+      });
+      assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+      res.close();
+    } finally {
+      delete hub.config.streamOrigin;
+    }
+  });
+
+  it('unsubscribes clients once they disconnect', async () => {
+    let socket = await connectClient();
+    let info = await socket.waitFor(quty.event.HUB.CLIENT_INFO);
+    socket.send(`${quty.event.HUB.CHANNEL_JOIN}|{"c":"leaving"}`);
+    await socket.waitFor(quty.event.HUB.CHANNEL_JOIN);
+    await new Promise((resolve) => {
+      hub.once('client.remove', () => resolve());
+      socket.close();
+    });
+    assert.strictEqual(cluster.isClientSubscribed(info.cid, 'leaving'), false);
+    assert.strictEqual(hub.getClient(info.cid), null);
+  });
+});
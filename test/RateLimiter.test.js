@@ -0,0 +1,62 @@
+'use strict';
+const {describe, it} = require('node:test'),
+  assert = require('node:assert'),
+  RateLimiter = require('../lib/RateLimiter');
+
+describe('RateLimiter', () => {
+
+  it('allows bursts and then throttles', () => {
+    let limiter = new RateLimiter({
+      rate: 1,
+      burst: 3
+    });
+    let results = [];
+    for (let i = 0; i < 4; i++) results.push(limiter.consume('a'));
+    assert.deepStrictEqual(results, [true, true, true, false]);
+    assert.strictEqual(limiter.consume('b'), true, 'every key has its own bucket');
+    assert.strictEqual(limiter.throttled, 1);
+    assert.deepStrictEqual(limiter.getThrottled(), {
+      a: 1
+    });
+  });
+
+  it('refills the buckets over time', (t) => {
+    t.mock.timers.enable({
+      apis: ['Date'],
+      now: 1000
+    });
+    let limiter = new RateLimiter({
+      rate: 2
+    });
+    assert.strictEqual(limiter.consume('a'), true);
+    assert.strictEqual(limiter.consume('a'), true);
+    assert.strictEqual(limiter.consume('a'), false);
+    t.mock.timers.tick(500);
+    assert.strictEqual(limiter.consume('a'), true);
+    assert.strictEqual(limiter.consume('a'), false);
+  });
+
+  it('removes the buckets of idle keys', (t) => {
+    t.mock.timers.enable({
+      apis: ['Date'],
+      now: 1000
+    });
+    let limiter = new RateLimiter({
+      rate: 1
+    });
+    limiter.consume('a');
+    limiter.consume('a');
+    assert.deepStrictEqual(limiter.getThrottled(), {
+      a: 1
+    });
+    t.mock.timers.tick(61000);
+    limiter.consume('b');
+    assert.deepStrictEqual(limiter.getThrottled(), {});
+  });
+
+  it('requires a positive rate', () => {
+    assert.throws(() => new RateLimiter({
+      rate: 0
+    }), /positive rate/);
+  });
+});
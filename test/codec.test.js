@@ -0,0 +1,82 @@
+'use strict';
+const {describe, it} = require('node:test'),
+  assert = require('node:assert'),
+  codec = require('../lib/codec');
+
+describe('codec', () => {
+  const msgpack = codec.get(codec.MSGPACK);
+
+  it('round-trips msgpack data', () => {
+    let data = {
+      nil: null,
+      yes: true,
+      no: false,
+      small: 5,
+      negative: -33,
+      large: 4294967296,
+      float: 1.5,
+      text: 'hello',
+      long: 'x'.repeat(300),
+      binary: Buffer.from([1, 2, 3]),
+      list: [1, 'two', [3]],
+      nested: {
+        a: {
+          b: 'c'
+        }
+      }
+    };
+    assert.deepStrictEqual(msgpack.decode(msgpack.encode(data)), data);
+  });
+
+  it('skips undefined values and uses toJSON, like JSON', () => {
+    let date = new Date(0);
+    assert.deepStrictEqual(msgpack.decode(msgpack.encode({
+      a: undefined,
+      d: date
+    })), {
+      d: date.toJSON()
+    });
+  });
+
+  it('encodes and decodes frames', () => {
+    let frame = codec.encodeFrame(msgpack, 'M', {
+      c: 'news',
+      m: 'hello'
+    });
+    assert.strictEqual(codec.isFrame(frame), true);
+    assert.deepStrictEqual(codec.decodeFrame(frame), {
+      event: 'M',
+      data: {
+        c: 'news',
+        m: 'hello'
+      }
+    });
+  });
+
+  it('does not let decoded maps pollute object prototypes', () => {
+    let data = JSON.parse('{"__proto__": {"polluted": true}, "constructor": {"prototype": {"polluted": true}}, "a": 1}');
+    let res = msgpack.decode(msgpack.encode(data));
+    assert.deepStrictEqual(Object.keys(res), ['a']);
+    assert.strictEqual(Object.getPrototypeOf(res), Object.prototype);
+    assert.strictEqual(res.polluted, undefined);
+    assert.strictEqual({}.polluted, undefined);
+  });
+
+  it('does not let non-string map keys pollute object prototypes', () => {
+    let proto = Buffer.from('__proto__'),
+      value = Buffer.concat([Buffer.from([0x81, 0xa7]), Buffer.from('isAdmin'), Buffer.from([0xc3])]);
+    let arrayKey = Buffer.concat([Buffer.from([0x81, 0x91, 0xa9]), proto, value]),
+      binKey = Buffer.concat([Buffer.from([0x81, 0xc4, 0x09]), proto, value]);
+    for (let data of [arrayKey, binKey]) {
+      let res = msgpack.decode(data);
+      assert.deepStrictEqual(Object.keys(res), []);
+      assert.strictEqual(Object.getPrototypeOf(res), Object.prototype);
+      assert.strictEqual(res.isAdmin, undefined);
+    }
+  });
+
+  it('negotiates the first accepted codec', () => {
+    assert.strictEqual(codec.negotiate([codec.MSGPACK, codec.JSON], [codec.MSGPACK]), codec.MSGPACK);
+    assert.strictEqual(codec.negotiate(['unknown'], [codec.MSGPACK]), codec.JSON);
+  });
+});
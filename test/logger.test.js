@@ -0,0 +1,63 @@
+'use strict';
+const {describe, it, before, after} = require('node:test'),
+  assert = require('node:assert'),
+  quty = require('../index'),
+  log = require('../lib/logger');
+
+describe('logger', () => {
+  let entries = [],
+    lines = [];
+
+  before(() => {
+    log.setLevel('INFO');
+    log.setTransports((line, entry) => {
+      lines.push(line);
+      entries.push(entry);
+    });
+  });
+
+  after(() => {
+    log.setFormat('text');
+    log.setTransports('stdout');
+  });
+
+  it('never lets fields overwrite the level, time and message', () => {
+    entries = [];
+    log.child({
+      component: 'quty-test'
+    }).info('hello', {
+      level: 'ERROR',
+      time: 'never',
+      msg: 'other',
+      cid: 'client1'
+    });
+    let entry = entries[0];
+    assert.strictEqual(entry.level, 'INFO');
+    assert.notStrictEqual(entry.time, 'never');
+    assert.strictEqual(entry.msg, 'hello');
+    assert.strictEqual(entry.cid, 'client1');
+    assert.strictEqual(entry.component, 'quty-test');
+  });
+
+  it('writes fields on the same line of text entries', () => {
+    lines = [];
+    log.setFormat('text');
+    log.info('hello', {
+      cid: 'client1'
+    });
+    assert.ok(lines[0].endsWith('hello {"cid":"client1"}'));
+  });
+
+  it('includes the publisher id in the publisher entries', () => {
+    entries = [];
+    log.setFormat('json');
+    let pub = new quty.Publisher({
+      url: '127.0.0.1:1',
+      id: 'publisher1'
+    });
+    assert.strictEqual(pub.id, 'publisher1');
+    pub.logger.info('hello');
+    assert.strictEqual(entries[0].component, 'quty-publisher');
+    assert.strictEqual(entries[0].pid, 'publisher1');
+  });
+});
@@ -0,0 +1,221 @@
+'use strict';
+const {describe, it} = require('node:test'),
+  assert = require('node:assert'),
+  crypto = require('crypto'),
+  token = require('../lib/token');
+
+describe('token', () => {
+
+  it('creates and verifies signed tokens', () => {
+    let t = token.create({
+      name: 'john'
+    }, {
+      secret: 'secret',
+      type: token.TYPE.HUB
+    });
+    let data = token.verify(t, {
+      secret: 'secret',
+      type: token.TYPE.HUB
+    });
+    assert.strictEqual(data.name, 'john');
+    assert.strictEqual(token.verify(t, {
+      secret: 'other',
+      type: token.TYPE.HUB
+    }), false);
+    assert.strictEqual(token.verify(t, {
+      secret: 'secret',
+      type: token.TYPE.CLUSTER
+    }), false);
+  });
+
+  it('rejects expired tokens', () => {
+    let t = token.create({}, {
+      secret: 'secret',
+      expire: Date.now() - 1000
+    });
+    assert.strictEqual(token.verify(t, {
+      secret: 'secret'
+    }), false);
+  });
+
+  describe('asymmetric keys', () => {
+
+    it('signs with an ed25519 private key and verifies with its public key', () => {
+      let keys = crypto.generateKeyPairSync('ed25519'),
+        publicKey = keys.publicKey.export({
+          type: 'spki',
+          format: 'pem'
+        });
+      let t = token.create({
+        name: 'john'
+      }, {
+        secret: {
+          privateKey: keys.privateKey
+        }
+      });
+      assert.strictEqual(token.verify(t, {
+        secret: {
+          publicKey
+        }
+      }).name, 'john');
+      let other = crypto.generateKeyPairSync('ed25519').publicKey;
+      assert.strictEqual(token.verify(t, {
+        secret: {
+          publicKey: other
+        }
+      }), false);
+    });
+
+    it('never uses a public key as an HMAC secret', () => {
+      let publicKey = crypto.generateKeyPairSync('ed25519').publicKey.export({
+        type: 'spki',
+        format: 'pem'
+      });
+      let t = token.create({}, {
+        secret: publicKey
+      });
+      assert.strictEqual(token.verify(t, {
+        secret: {
+          publicKey
+        }
+      }), false);
+    });
+  });
+
+  describe('keyrings', () => {
+    const oldKeyring = {
+        sign: 'k1',
+        keys: {
+          k1: 'secret1'
+        }
+      },
+      rotatedKeyring = {
+        sign: 'k2',
+        keys: {
+          k1: 'secret1',
+          k2: 'secret2'
+        }
+      };
+
+    it('signs tokens with the signing key and verifies them during rotation', () => {
+      let oldToken = token.create({}, {
+          secret: oldKeyring
+        }),
+        newToken = token.create({}, {
+          secret: rotatedKeyring
+        });
+      assert.ok(token.verify(oldToken, {
+        secret: rotatedKeyring
+      }));
+      assert.ok(token.verify(newToken, {
+        secret: rotatedKeyring
+      }));
+      assert.strictEqual(token.verify(newToken, {
+        secret: oldKeyring
+      }), false);
+      assert.ok(token.verify(newToken, {
+        secret: 'secret2'
+      }), 'keyring tokens are regular HMAC tokens');
+    });
+
+    it('rejects tokens signed with removed keys', () => {
+      let oldToken = token.create({}, {
+        secret: oldKeyring
+      });
+      assert.strictEqual(token.verify(oldToken, {
+        secret: {
+          sign: 'k2',
+          keys: {
+            k2: 'secret2'
+          }
+        }
+      }), false);
+    });
+
+    it('verifies tokens created before switching to a keyring against all keys', () => {
+      let legacyToken = token.create({}, {
+        secret: 'secret1'
+      });
+      assert.ok(token.verify(legacyToken, {
+        secret: rotatedKeyring
+      }));
+    });
+
+    it('requires the signing key to be in the keyring', () => {
+      assert.throws(() => token.create({}, {
+        secret: {
+          sign: 'missing',
+          keys: {
+            k1: 'secret1'
+          }
+        }
+      }), /signing key missing not found/);
+    });
+
+    it('parses keyrings from strings', () => {
+      assert.deepStrictEqual(token.parseKeyring('k1:secret1, k2:secret:2'), {
+        sign: 'k1',
+        keys: {
+          k1: 'secret1',
+          k2: 'secret:2'
+        }
+      });
+      assert.strictEqual(token.parseKeyring('k1:secret1,k2:secret2', 'k2').sign, 'k2');
+      assert.throws(() => token.parseKeyring('k1:secret1', 'k2'), /not found/);
+      assert.throws(() => token.parseKeyring('k1'), /invalid keyring key/);
+    });
+  });
+
+  describe('isGranted', () => {
+    const R = token.GRANT.READ,
+      W = token.GRANT.WRITE;
+
+    it('checks the rights of exact channels', () => {
+      let grants = {
+        news: 'r',
+        chat: 'rw'
+      };
+      assert.strictEqual(token.isGranted(grants, 'news', R), true);
+      assert.strictEqual(token.isGranted(grants, 'news', W), false);
+      assert.strictEqual(token.isGranted(grants, 'chat', W), true);
+      assert.strictEqual(token.isGranted(grants, 'other', R), false);
+    });
+
+    it('matches "*" grants against exactly one segment', () => {
+      let grants = {
+        'orders.*': 'r'
+      };
+      assert.strictEqual(token.isGranted(grants, 'orders.eu', R), true);
+      assert.strictEqual(token.isGranted(grants, 'orders.eu.secret', R), false);
+      assert.strictEqual(token.isGranted(grants, 'orders', R), false);
+      assert.strictEqual(token.isGranted(grants, 'ordersx', R), false);
+    });
+
+    it('matches ">" grants against one or more segments', () => {
+      let grants = {
+        'orders.>': 'r'
+      };
+      assert.strictEqual(token.isGranted(grants, 'orders.eu', R), true);
+      assert.strictEqual(token.isGranted(grants, 'orders.eu.secret', R), true);
+      assert.strictEqual(token.isGranted(grants, 'orders', R), false);
+    });
+
+    it('only allows pattern subscriptions that the grants cover', () => {
+      assert.strictEqual(token.isGranted({
+        'orders.*': 'r'
+      }, 'orders.>', R), false);
+      assert.strictEqual(token.isGranted({
+        'orders.*': 'r'
+      }, 'orders.*', R), true);
+      assert.strictEqual(token.isGranted({
+        'orders.>': 'r'
+      }, 'orders.*', R), true);
+      assert.strictEqual(token.isGranted({
+        'orders.>': 'r'
+      }, 'orders.*.items', R), true);
+      assert.strictEqual(token.isGranted({
+        'orders.eu': 'r'
+      }, 'orders.*', R), false);
+    });
+  });
+});
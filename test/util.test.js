@@ -0,0 +1,205 @@
+'use strict';
+const {describe, it} = require('node:test'),
+  assert = require('node:assert'),
+  fs = require('fs'),
+  dns = require('dns'),
+  os = require('os'),
+  path = require('path'),
+  events = require('../lib/events'),
+  metrics = require('../lib/metrics'),
+  util = require('../lib/util');
+
+/**
+ * Returns a socket-like object that collects the parsed events it is sent.
+ * */
+function createSocket(props = {}) {
+  let socket = Object.assign({
+    sent: [],
+    send(payload) {
+      socket.sent.push(util.parseSocketEvent(payload));
+    }
+  }, props);
+  return socket;
+}
+
+describe('util', () => {
+
+  describe('batching', () => {
+
+    it('sends the queued events as a single batch frame', () => {
+      let socket = createSocket({
+        batch: {
+          delay: 1000
+        }
+      });
+      util.queueSocketEvent(socket, 'M', {
+        c: 'a'
+      });
+      util.queueSocketEvent(socket, 'M', {
+        c: 'b'
+      });
+      assert.strictEqual(socket.sent.length, 0);
+      util.flushSocketEvents(socket);
+      assert.strictEqual(socket.sent.length, 1);
+      assert.deepStrictEqual(util.unpackSocketEvents(socket.sent[0]).map((e) => e.data.c), ['a', 'b']);
+    });
+
+    it('sends the batch once it is large enough', () => {
+      let socket = createSocket({
+        batch: {
+          delay: 1000,
+          size: 10
+        }
+      });
+      util.queueSocketEvent(socket, 'M', {
+        m: 'a long enough message'
+      });
+      assert.strictEqual(socket.sent.length, 1);
+      assert.strictEqual(socket.__batch.timer, null);
+    });
+
+    it('discards the queued events and their timer', () => {
+      let socket = createSocket({
+        batch: {
+          delay: 1000
+        }
+      });
+      util.queueSocketEvent(socket, 'M', {
+        c: 'a'
+      });
+      assert.ok(socket.__batch.timer);
+      assert.strictEqual(util.discardSocketEvents(socket), true);
+      assert.strictEqual(socket.__batch.timer, null);
+      assert.deepStrictEqual(socket.__batch.items, []);
+      assert.strictEqual(util.flushSocketEvents(socket), true);
+      assert.strictEqual(socket.sent.length, 0);
+    });
+  });
+
+  describe('peekSocketEvent', () => {
+
+    it('finds the event and request id of text frames', () => {
+      assert.deepStrictEqual(util.peekSocketEvent('M|{"r":12,"c":"news","m":'), {
+        event: 'M',
+        r: 12
+      });
+      assert.deepStrictEqual(util.peekSocketEvent('M|{"c":"news","r":12}'), {
+        event: 'M',
+        r: null
+      });
+      assert.deepStrictEqual(util.peekSocketEvent('no event'), {
+        event: null,
+        r: null
+      });
+    });
+
+    it('finds the event and request id of binary frames', () => {
+      let socket = createSocket();
+      socket.send = (payload) => socket.sent.push(payload);
+      util.sendSocketEvent(socket, 'M', {
+        r: 300,
+        m: Buffer.alloc(10)
+      });
+      assert.ok(Buffer.isBuffer(socket.sent[0]));
+      assert.deepStrictEqual(util.peekSocketEvent(socket.sent[0]), {
+        event: 'M',
+        r: 300
+      });
+    });
+  });
+
+  describe('event counters', () => {
+
+    it('counts unknown events in a single bucket', () => {
+      let counts = {};
+      util.countSocketEvent(counts, events.HUB.CHANNEL_JOIN);
+      util.countSocketEvent(counts, events.CLUSTER.BATCH);
+      for (let i = 0; i < 100; i++) util.countSocketEvent(counts, `evil${i}`);
+      assert.deepStrictEqual(counts, {
+        J: 1,
+        B: 1,
+        unknown: 100
+      });
+    });
+
+    it('labels the events that are not part of the events map as unknown', () => {
+      let values = metrics.eventValues(events.HUB, {
+        J: 2,
+        B: 3,
+        unknown: 4
+      });
+      assert.deepStrictEqual(values.map((v) => [v.labels.event, v.value]), [
+        ['CHANNEL_JOIN', 2],
+        ['unknown', 7]
+      ]);
+    });
+  });
+
+  describe('SRV records', () => {
+
+    it('orders records by priority and weight', async () => {
+      let resolveSrv = dns.resolveSrv;
+      dns.resolveSrv = (name, fn) => fn(null, [
+        {name: 'c.local', port: 3000, priority: 20, weight: 100},
+        {name: 'b.local', port: 3000, priority: 10, weight: 0},
+        {name: 'a.local', port: 3001, priority: 10, weight: 50},
+        {name: 'a.local', port: 3000, priority: 10, weight: 50}
+      ]);
+      try {
+        let records = await util.resolveSrv('_quty._tcp.quty.local');
+        assert.deepStrictEqual(records.map((r) => `${r.name}:${r.port}`), [
+          'a.local:3000',
+          'a.local:3001',
+          'b.local:3000',
+          'c.local:3000'
+        ]);
+      } finally {
+        dns.resolveSrv = resolveSrv;
+      }
+    });
+
+    it('rejects when the name cannot be resolved', async () => {
+      let resolveSrv = dns.resolveSrv;
+      dns.resolveSrv = (name, fn) => fn(new Error('ENOTFOUND'));
+      try {
+        await assert.rejects(util.resolveSrv('_quty._tcp.missing.local'), /ENOTFOUND/);
+      } finally {
+        dns.resolveSrv = resolveSrv;
+      }
+    });
+  });
+
+  describe('TLS configuration', () => {
+    const PEM = '-----BEGIN CERTIFICATE-----\nabc\n-----END CERTIFICATE-----\n';
+
+    it('reads the TLS files once', () => {
+      let file = path.join(os.tmpdir(), `quty-test-${process.pid}.pem`);
+      fs.writeFileSync(file, PEM);
+      let opt;
+      try {
+        opt = util.readTlsConfig({
+          cert: file,
+          ca: [PEM],
+          key: null,
+          verifyClient: true
+        });
+      } finally {
+        fs.unlinkSync(file);
+      }
+      assert.strictEqual(opt.cert.toString(), PEM);
+      assert.deepStrictEqual(opt.ca, [PEM]);
+      assert.strictEqual('key' in opt, false);
+      // the file no longer exists, so the options must come from the contents we read.
+      let serverOpt = util.getTlsOptions(opt, true);
+      assert.strictEqual(serverOpt.cert.toString(), PEM);
+      assert.strictEqual(serverOpt.requestCert, true);
+      assert.strictEqual('verifyClient' in serverOpt, false);
+    });
+
+    it('fails on missing files', () => {
+      assert.throws(() => util.readTlsConfig({
+        cert: path.join(os.tmpdir(), 'quty-missing.pem')
+      }), /could not read TLS file/);
+    });
+  });
+});